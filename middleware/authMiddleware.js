@@ -2,8 +2,51 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/user");
 const Club = require("../models/club");
 const Admin = require("../models/admin");
+const Session = require("../models/session");
 
-module.exports = async function authMiddleware(req, res, next) {
+// verifies a token and loads its account, returns { user, type, sessionId } or { status, error }
+// shared by the express middleware and socket.io handshake
+async function resolveToken(token) {
+  // jwt decode and verify
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  let user = null;
+  // get the user type from decoded token
+  const type = decoded.type;
+  // diff options for type to be
+  if (!type) return { status: 401, error: "Token type missing" };
+  // access tokens must belong to a live session (logout revokes it)
+  if (!decoded.sid) return { status: 401, error: "Session missing" };
+  const session = await Session.findById(decoded.sid).select("revokedAt");
+  if (!session || session.revokedAt) {
+    return { status: 401, error: "Session has been revoked" };
+  }
+  if (type === "admin") {
+    user = await Admin.findById(decoded.id).select("-password");
+  } else if (type === "club") {
+    user = await Club.findById(decoded.id).select("-password");
+    // Check if club account is enabled
+    if (user && !user.enabled) {
+      return { status: 403, error: "Club account is disabled. Contact admin." };
+    }
+  } else {
+    user = await User.findById(decoded.id)
+      .select("-password")
+      .populate("followedClubs", "name category");
+  }
+  if (!user) {
+    return { status: 401, error: "User not found" };
+  }
+  // reject tokens issued before the last password reset
+  if (
+    user.passwordChangedAt &&
+    decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+  ) {
+    return { status: 401, error: "Token has been revoked" };
+  }
+  return { user, type, sessionId: decoded.sid };
+}
+
+async function authMiddleware(req, res, next) {
   try {
     // get the authorization header
     const auth = req.headers.authorization;
@@ -12,36 +55,19 @@ module.exports = async function authMiddleware(req, res, next) {
     }
     // get the token from header
     const token = auth.split(" ")[1];
-    // jwt decode and verify
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    let user = null;
-    // get the user type from decoded token
-    const type = decoded.type;
-    // diff options for type to be
-    if (!type) return res.status(401).json({ error: "Token type missing" });
-    if (type === "admin") {
-      user = await Admin.findById(decoded.id).select("-password");
-    } else if (type === "club") {
-      user = await Club.findById(decoded.id).select("-password");
-      // Check if club account is enabled
-      if (user && !user.enabled) {
-        return res
-          .status(403)
-          .json({ error: "Club account is disabled. Contact admin." });
-      }
-    } else {
-      user = await User.findById(decoded.id)
-        .select("-password")
-        .populate("followedClubs", "name category");
-    }
-    if (!user) {
-      return res.status(401).json({ error: "User not found" });
+    const { user, type, sessionId, status, error } = await resolveToken(token);
+    if (error) {
+      return res.status(status).json({ error });
     }
     // convert mongoose document to json file and add a property "type"
     req.user = { ...user.toObject(), type };
+    req.sessionId = sessionId;
     next();
   } catch (err) {
     console.error("Auth middleware error:", err);
     return res.status(401).json({ error: "Token invalid or expired" });
   }
-};
+}
+
+module.exports = authMiddleware;
+module.exports.resolveToken = resolveToken;
@@ -0,0 +1,34 @@
+const multer = require("multer");
+const path = require("path");
+
+// statements are parsed straight from memory, nothing is written to disk
+const storage = multer.memoryStorage();
+
+// only csv allowed (browsers report csv under a few mime types)
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    "text/csv",
+    "application/csv",
+    "application/vnd.ms-excel",
+    "text/plain",
+  ];
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (allowedTypes.includes(file.mimetype) && ext === ".csv") {
+    cb(null, true);
+  } else {
+    cb(
+      new Error("Invalid file type. Only CSV bank statements are allowed."),
+      false,
+    );
+  }
+};
+
+const statementUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2 mb limit
+  },
+  fileFilter: fileFilter,
+});
+
+module.exports = statementUpload;
@@ -50,6 +50,16 @@ const clubSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // how this follower hears about newly published events
+        emailPreference: {
+          type: String,
+          enum: ["immediate", "digest", "none"],
+          default: "immediate",
+        },
+        inAppNotifications: {
+          type: Boolean,
+          default: true,
+        },
       },
     ],
     followerCount: {
@@ -80,6 +90,11 @@ const clubSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // last receipt number issued by this club (receipts are numbered per club)
+    receiptSequence: {
+      type: Number,
+      default: 0,
+    },
     enabled: {
       type: Boolean,
       default: true,
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// discount code issued by a club, for one event or all of its events
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+      required: true,
+    },
+    // null means the coupon works on every event of the club
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Caps a percentage discount
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // Total redemptions allowed (null = unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    eligibility: {
+      type: String,
+      enum: ["all", "iiitans", "external", "followers"],
+      default: "all",
+    },
+    validFrom: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+couponSchema.index({ clubId: 1, code: 1 }, { unique: true });
+
+couponSchema.pre("save", function () {
+  if (this.discountType === "percentage" && this.discountValue > 100) {
+    throw new Error("Percentage discount cannot exceed 100");
+  }
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -51,6 +51,11 @@ const discussionSchema = new mongoose.Schema(
       default: null,
     },
     reactions: [reactionSchema],
+    // scheduled announcements stay hidden until the job runner posts them
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
     deletedAt: {
       type: Date,
       default: null,
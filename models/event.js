@@ -27,6 +27,24 @@ const MerchandiseVariantSchema = new mongoose.Schema({
   color: String,
   stockQuantity: { type: Number, required: true, min: 0 },
   price: { type: Number, required: true, min: 0 },
+  // Held for orders awaiting payment, and paid/confirmed units
+  reservedQuantity: { type: Number, default: 0, min: 0 },
+  soldQuantity: { type: Number, default: 0, min: 0 },
+});
+
+// A price that applies inside a date window, to an eligibility group, or to the first N seats
+const PriceTierSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  eligibility: {
+    type: String,
+    enum: ["all", "iiitans", "external"],
+    default: "all",
+  },
+  startsAt: Date,
+  endsAt: Date,
+  quota: { type: Number, min: 1 },
+  soldCount: { type: Number, default: 0 },
 });
 
 const EventSchema = new mongoose.Schema(
@@ -57,6 +75,16 @@ const EventSchema = new mongoose.Schema(
     eventStartDate: { type: Date, required: true },
     eventEndDate: { type: Date, required: true },
 
+    // Where: a booked venue or an online link, location is the text shown
+    // to participants (venue name and address, or the link)
+    venueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Venue",
+      default: null,
+    },
+    onlineLink: { type: String, trim: true },
+    location: { type: String, trim: true },
+
     // Registration
     registrationLimit: {
       type: Number,
@@ -66,13 +94,43 @@ const EventSchema = new mongoose.Schema(
       min: 1,
     },
     registrationFee: { type: Number, default: 0, min: 0 },
+    // Normal events: the cheapest open tier wins, registrationFee is the fallback
+    priceTiers: [PriceTierSchema],
     requiresApproval: { type: Boolean, default: false },
+    // Participants can cancel until this many hours before the event starts
+    cancellationCutoffHours: { type: Number, default: 24, min: 0 },
+    // Team events: registration completes once the team is formed
+    isTeamEvent: { type: Boolean, default: false },
+    minTeamSize: { type: Number, min: 1, default: 1 },
+    maxTeamSize: { type: Number, min: 1, default: 1 },
+    // Hours a promoted waitlisted participant has to claim the freed seat
+    waitlistClaimHours: { type: Number, default: 24, min: 1 },
+    // Hours a paid or approval-gated registration holds its seat before payment
+    // proof or the organizer's approval must arrive
+    seatHoldHours: { type: Number, default: 48, min: 1 },
 
     status: {
       type: String,
-      enum: ["draft", "published", "ongoing", "completed"],
+      enum: [
+        "draft",
+        "published",
+        "ongoing",
+        "completed",
+        "postponed",
+        "cancelled",
+      ],
       default: "draft",
     },
+    // Drafts with this set are published by the job runner at that time
+    publishAt: { type: Date, default: null },
+    // Set when the organizer calls the event off
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String, trim: true },
+    // Postponed events are on hold until they get new dates; the first
+    // start date is kept so listings can show where the event moved from
+    postponedAt: { type: Date },
+    postponementReason: { type: String, trim: true },
+    originalStartDate: { type: Date },
 
     tags: [{ type: String, trim: true }],
 
@@ -86,10 +144,14 @@ const EventSchema = new mongoose.Schema(
     merchandiseDetails: {
       variants: [MerchandiseVariantSchema],
       purchaseLimit: { type: Number, default: 1 },
+      // Hours a paid order holds its stock before payment proof must arrive
+      reservationWindowHours: { type: Number, default: 24, min: 1 },
     },
 
     // Analytics
     totalRegistrations: { type: Number, default: 0 },
+    // Seats held for registrations still awaiting payment/approval
+    reservedSeats: { type: Number, default: 0 },
     totalRevenue: { type: Number, default: 0 },
     totalAttendance: { type: Number, default: 0 },
   },
@@ -121,6 +183,9 @@ const EventSchema = new mongoose.Schema(
   },
 );
 
+// Venue bookings are looked up by venue and time
+EventSchema.index({ venueId: 1, eventStartDate: 1 });
+
 // Virtual for effective status (for internal use)
 EventSchema.virtual("effectiveStatus").get(function () {
   const now = new Date();
@@ -141,8 +206,19 @@ EventSchema.virtual("effectiveStatus").get(function () {
   return this.status;
 });
 
-// Validate merchandise events have variants
+// Validate merchandise events have variants and team sizes are sane
 EventSchema.pre("save", async function () {
+  if (this.isTeamEvent && this.minTeamSize > this.maxTeamSize) {
+    throw new Error("Minimum team size cannot exceed maximum team size");
+  }
+  for (const tier of this.priceTiers || []) {
+    if (this.eventType !== "normal") {
+      throw new Error("Price tiers are only supported for normal events");
+    }
+    if (tier.startsAt && tier.endsAt && tier.startsAt >= tier.endsAt) {
+      throw new Error(`Price tier "${tier.name}" must start before it ends`);
+    }
+  }
   if (this.eventType === "merchandise") {
     if (
       !this.merchandiseDetails ||
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// queued email to a club follower about a published event
+const followerNotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+      required: true,
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    delivery: {
+      type: String,
+      enum: ["immediate", "digest"],
+      required: true,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+followerNotificationSchema.index({ sentAt: 1, delivery: 1, createdAt: 1 });
+
+module.exports = mongoose.model(
+  "FollowerNotification",
+  followerNotificationSchema,
+);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// a background job run by the job runner, recurring jobs keep one document
+// that is pushed forward after every run
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // one document per key, so a job can't be queued twice
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // milliseconds between runs, null for one-off jobs
+    repeatEvery: {
+      type: Number,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastRunAt: Date,
+    lastFinishedAt: Date,
+    lastDurationMs: Number,
+    lastResult: mongoose.Schema.Types.Mixed,
+    lastError: String,
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "announcement",
+        "registration_approved",
+        "registration_rejected",
+        "payment_approved",
+        "payment_rejected",
+        "event_published",
+        "discussion_reply",
+        "merch_ready",
+        "merch_shipped",
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+    discussionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discussion",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    // only the sha256 hash of the emailed token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// mongodb removes tokens a day after they expire (kept that long for rate limiting)
+passwordResetTokenSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 },
+);
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
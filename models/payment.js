@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// an online gateway order for a registration
+const paymentSchema = new mongoose.Schema(
+  {
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+      required: true,
+      index: true,
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    orderId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    paymentId: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: ["created", "captured", "failed"],
+      default: "created",
+    },
+    capturedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// money returned on a paid registration, full or partial
+const refundSchema = new mongoose.Schema(
+  {
+    registrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+      required: true,
+      index: true,
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Gateway payment being returned, set only for unapplied payments
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      unique: true,
+      sparse: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // What triggered the refund
+    source: {
+      type: String,
+      enum: [
+        "participant_cancellation",
+        "registration_rejected",
+        "event_cancelled",
+        "organizer",
+        // captured by the gateway but never applied to the registration
+        "unapplied_payment",
+      ],
+      default: "organizer",
+    },
+    status: {
+      type: String,
+      enum: ["requested", "approved", "processed", "rejected"],
+      default: "requested",
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+    },
+    processedAt: {
+      type: Date,
+    },
+    // UPI/bank reference or gateway refund id
+    transactionReference: {
+      type: String,
+      trim: true,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Refund", refundSchema);
@@ -13,6 +13,9 @@ const scanHistorySchema = new mongoose.Schema(
         "manual_present",
         "manual_absent",
         "duplicate_rejected",
+        "scan_rejected",
+        "cancelled",
+        "picked_up",
       ],
       required: true,
     },
@@ -25,6 +28,34 @@ const scanHistorySchema = new mongoose.Schema(
   { _id: false },
 );
 
+// one variant line of a merchandise order, priced when the order is placed
+const orderItemSchema = new mongoose.Schema(
+  {
+    variantId: {
+      type: String,
+      required: true,
+    },
+    size: String,
+    color: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
 const registrationSchema = new mongoose.Schema(
   {
     userId: {
@@ -43,9 +74,27 @@ const registrationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["registered", "attended", "cancelled", "rejected", "pending_approval"],
+      enum: [
+        "registered",
+        "attended",
+        "cancelled",
+        "rejected",
+        "pending_approval",
+        "waitlisted",
+        "team_pending",
+      ],
       default: "registered",
     },
+    // "reserved" while payment/approval is pending, "confirmed" once counted in
+    // the event's totalRegistrations; missing on registrations from before seats were tracked
+    seatStatus: {
+      type: String,
+      enum: ["reserved", "confirmed", "released"],
+    },
+    // A reserved seat is given up if payment proof or approval hasn't arrived by then
+    seatHoldExpiresAt: {
+      type: Date,
+    },
     registrationApprovalStatus: {
       type: String,
       enum: ["not_required", "pending", "approved", "rejected"],
@@ -62,9 +111,32 @@ const registrationSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Waitlist ordering and promotion claim window
+    waitlistedAt: {
+      type: Date,
+    },
+    promotedAt: {
+      type: Date,
+    },
+    claimDeadline: {
+      type: Date,
+    },
+    claimedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
     ticketId: {
       type: String,
       unique: true,
+      // registrations without a ticket leave it unset, sparse skips them
+      // (an explicit null is still indexed and would collide)
+      sparse: true,
     },
     // Encrypted QR code data
     qrCodeEncrypted: {
@@ -82,6 +154,70 @@ const registrationSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Fingerprints of the uploaded proof, kept after the image is deleted
+    proofContentHash: {
+      type: String,
+      index: true,
+    },
+    proofPerceptualHash: {
+      type: String,
+      default: null,
+    },
+    // Perceptual hash split into bands, indexed to find near matches without a full scan
+    proofHashBands: {
+      type: [String],
+      default: undefined,
+      index: true,
+    },
+    // UTR / bank reference entered with the payment proof
+    transactionReference: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    // "online" when captured through the payment gateway
+    paymentMethod: {
+      type: String,
+      enum: ["manual", "online"],
+    },
+    // Price resolved at registration time, after any coupon
+    amountDue: {
+      type: Number,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    couponCode: {
+      type: String,
+    },
+    // Set once the coupon use is given back (the coupon stays recorded for receipts)
+    couponReleasedAt: {
+      type: Date,
+    },
+    // Price tier the amount was resolved from (cleared once its slot is given back)
+    priceTierId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    priceTierName: {
+      type: String,
+    },
+    // Amount actually collected, kept for refunds and receipts
+    amountPaid: {
+      type: Number,
+    },
+    receiptNumber: {
+      type: String,
+      index: true,
+    },
+    receiptIssuedAt: {
+      type: Date,
+    },
     paymentApprovalStatus: {
       type: String,
       enum: ["not_required", "pending", "approved", "rejected"],
@@ -119,10 +255,41 @@ const registrationSchema = new mongoose.Schema(
       trim: true,
     },
     scanHistory: [scanHistorySchema],
+    // Legacy single-variant selection (older merchandise registrations)
     merchandiseSelection: {
       variantId: String,
       quantity: Number,
     },
+    merchandiseOrder: {
+      items: [orderItemSchema],
+      totalQuantity: Number,
+      totalAmount: Number,
+      stockStatus: {
+        type: String,
+        enum: ["reserved", "sold", "released"],
+      },
+      reservationExpiresAt: Date,
+      // orders without a status predate fulfillment tracking and count as "ordered"
+      fulfillmentStatus: {
+        type: String,
+        enum: ["ordered", "ready_for_pickup", "picked_up", "shipped"],
+      },
+      readyAt: Date,
+      pickedUpAt: Date,
+      pickedUpBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Club",
+      },
+      shippedAt: Date,
+      carrier: {
+        type: String,
+        trim: true,
+      },
+      trackingNumber: {
+        type: String,
+        trim: true,
+      },
+    },
     formData: [
       {
         fieldId: String,
@@ -133,8 +300,34 @@ const registrationSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+    },
   },
   { timestamps: true },
 );
 
+// every status except "cancelled": cancelled registrations stay for refunds and
+// receipts but no longer stop the participant from registering again
+const ACTIVE_STATUSES = [
+  "registered",
+  "attended",
+  "rejected",
+  "pending_approval",
+  "waitlisted",
+  "team_pending",
+];
+
+// one active registration per user per event, enforced by the database so parallel requests can't both get in
+// (scripts/migrateRegistrationIndex.js replaces the older index that covered every status)
+registrationSchema.index(
+  { userId: 1, eventId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_STATUSES } },
+    name: "userId_1_eventId_1_active",
+  },
+);
+
 module.exports = mongoose.model("Registration", registrationSchema);
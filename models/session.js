@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    accountType: {
+      type: String,
+      enum: ["user", "club", "admin"],
+      required: true,
+    },
+    // only hashes of refresh tokens are stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // the token rotated out last, kept to detect refresh token reuse
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// mongodb removes sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
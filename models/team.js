@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted"],
+      default: "pending",
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const teamSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    leaderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    joinCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    members: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    invitations: [invitationSchema],
+    status: {
+      type: String,
+      enum: ["forming", "complete"],
+      default: "forming",
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+// team names are unique within an event
+teamSchema.index({ eventId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Team", teamSchema);
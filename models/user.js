@@ -27,6 +27,13 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verificationEmailSentAt: {
+      type: Date,
+    },
     collegeName: {
       type: String,
       trim: true,
@@ -60,6 +67,10 @@ const userSchema = new mongoose.Schema(
         ref: "Club",
       },
     ],
+    // tokens issued before this are rejected (set on password reset)
+    passwordChangedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// a physical place events can be held at, managed by admins
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Most people the venue can hold, caps an event's registrationLimit
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    facilities: [{ type: String, trim: true }],
+    // Inactive venues stay on their past events but can't be booked
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Venue", venueSchema);
@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const User = require("../models/user");
 const Club = require("../models/club");
 const Admin = require("../models/admin");
@@ -8,9 +9,11 @@ const Event = require("../models/event");
 const Registration = require("../models/registration");
 const Feedback = require("../models/feedback");
 const Discussion = require("../models/discussion");
+const Job = require("../models/job");
 const bcrypt = require("bcryptjs");
 const authMiddleware = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/checkRole");
+const { revokeAllSessions } = require("../utils/sessions");
 
 // checks authmiddleware and admin role in all api calls for restricted access
 
@@ -110,6 +113,10 @@ router.patch(
       // Toggle enabled status
       club.enabled = !club.enabled;
       await club.save();
+      // disabled clubs are signed out everywhere
+      if (!club.enabled) {
+        await revokeAllSessions(club._id);
+      }
 
       res.json({
         message: `Club ${club.enabled ? "enabled" : "disabled"} successfully`,
@@ -152,6 +159,7 @@ router.delete(
       await Discussion.deleteMany({ authorId: id, authorType: "Club" });
 
       await PasswordResetRequest.deleteMany({ clubId: id });
+      await revokeAllSessions(id);
       await User.updateMany(
         { followedClubs: id },
         { $pull: { followedClubs: id } },
@@ -249,6 +257,7 @@ router.post(
       await Club.findByIdAndUpdate(request.clubId._id, {
         password: hashedPassword,
       });
+      await revokeAllSessions(request.clubId._id);
 
       // Update request
       request.status = "approved";
@@ -310,6 +319,72 @@ router.post(
   },
 );
 
+// GET /api/admin/jobs - get background jobs with their last run (optional ?status= filter)
+router.get("/jobs", authMiddleware, checkRole(["admin"]), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    // recurring jobs first, then one-off jobs by when they run
+    const jobs = await Job.find(query)
+      .sort({ repeatEvery: -1, runAt: -1 })
+      .limit(200);
+
+    // count jobs per status for the summary cards
+    const counts = await Job.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const summary = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const { _id, count } of counts) summary[_id] = count;
+
+    const now = Date.now();
+    res.json({
+      summary,
+      jobs: jobs.map((job) => ({
+        ...job.toObject(),
+        // queued jobs well past their run time point at a stopped runner
+        overdue:
+          job.status === "queued" && now - job.runAt.getTime() > 5 * 60 * 1000,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({ error: "Failed to fetch jobs" });
+  }
+});
+
+// POST /api/admin/jobs/:id/run - queue a job to run now (also retries failed jobs)
+router.post(
+  "/jobs/:id/run",
+  authMiddleware,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid job id" });
+      }
+
+      const job = await Job.findOneAndUpdate(
+        { _id: req.params.id, status: { $ne: "running" } },
+        { $set: { status: "queued", runAt: new Date(), attempts: 0 } },
+        { new: true },
+      );
+      if (!job) {
+        // either it doesn't exist or it's running right now
+        const exists = await Job.exists({ _id: req.params.id });
+        if (!exists) {
+          return res.status(404).json({ error: "Job not found" });
+        }
+        return res.status(409).json({ error: "Job is already running" });
+      }
+
+      res.json({ message: "Job queued to run now", job });
+    } catch (error) {
+      console.error("Error queueing job:", error);
+      res.status(500).json({ error: "Failed to queue job" });
+    }
+  },
+);
+
 // POST /api/admin/create-admin - create a new admin (development only, need to figure out or remove later)
 // router.post("/create-admin", async (req, res) => {
 //   try {
@@ -1,13 +1,62 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const User = require("../models/user");
 const Club = require("../models/club");
 const Admin = require("../models/admin");
+const PasswordResetToken = require("../models/passwordResetToken");
+const Session = require("../models/session");
 const authMiddleware = require("../middleware/authMiddleware");
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require("../utils/emailService");
+const {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
 
 const router = express.Router();
 
+const RESET_TOKEN_TTL_MINUTES = 30;
+const RESET_REQUESTS_PER_HOUR = 3;
+
+// signs a verification link token; it has no "type" so authMiddleware never accepts it
+async function sendVerificationLink(user) {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: "24h" },
+  );
+  user.verificationEmailSentAt = new Date();
+  await user.save();
+  return sendVerificationEmail({
+    to: user.email,
+    userName: `${user.firstName} ${user.lastName || ""}`.trim(),
+    verifyLink: `${process.env.FRONTEND_URL}/verify-email?token=${token}`,
+  });
+}
+
+// hash reset tokens so a leaked database can't be used to reset passwords
+const hashResetToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// checks a password a user is setting, returns an error message or null
+function validateNewPassword(password) {
+  if (typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+  return null;
+}
+
+// one hashing path (and cost) for every password change
+const hashPassword = (password) => bcrypt.hash(password, 12);
+
 // POST /api/auth/register - register a new user
 router.post("/register", async (req, res) => {
   try {
@@ -50,14 +99,17 @@ router.post("/register", async (req, res) => {
       collegeName: isIIITan ? "IIIT Hyderabad" : collegeName,
     });
     await user.save();
-    const token = jwt.sign(
-      { id: user._id, type: "user" },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" },
+    await sendVerificationLink(user);
+    const { accessToken, refreshToken } = await createSession(
+      user._id,
+      "user",
+      req,
     );
     res.status(201).json({
       message: "User registered successfully",
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -66,6 +118,7 @@ router.post("/register", async (req, res) => {
         type: "user",
         onboardingCompleted: false,
         followedClubs: [],
+        isEmailVerified: false,
       },
     });
   } catch (error) {
@@ -116,12 +169,16 @@ router.post("/login", async (req, res) => {
     if (!isValidPassword) {
       return res.status(401).json({ error: "Invalid credentials" });
     }
-    // generate JWT token
-    const token = jwt.sign({ id: user._id, type }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // start a session and generate tokens
+    const { accessToken, refreshToken } = await createSession(
+      user._id,
+      type,
+      req,
+    );
     const responseData = {
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
       user: {
         id: user._id,
         email: user.email,
@@ -136,6 +193,7 @@ router.post("/login", async (req, res) => {
         lastName: user.lastName,
         onboardingCompleted: user.onboardingCompleted,
         followedClubs: user.followedClubs || [],
+        isEmailVerified: user.isEmailVerified,
       };
     } else if (type === "club") {
       responseData.user = {
@@ -158,6 +216,80 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh - exchange a refresh token for a new token pair (rotates it)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // disabled clubs can't keep refreshing
+    if (result.session.accountType === "club") {
+      const club = await Club.findById(result.session.accountId);
+      if (!club || !club.enabled) {
+        await revokeSession(result.session._id, result.session.accountId);
+        return res
+          .status(403)
+          .json({ error: "Club account is disabled. Contact admin." });
+      }
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({ error: "Server error refreshing token" });
+  }
+});
+
+// POST /api/auth/logout - revoke the current session
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// POST /api/auth/logout-all - revoke every session on all devices
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user._id);
+    res.json({ message: `Logged out of ${count} session(s)` });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - revoke one device session
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid session id" });
+    }
+    const revoked = await revokeSession(req.params.id, req.user._id);
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({ error: "Server error revoking session" });
+  }
+});
+
 // PATCH /api/auth/onboarding - for completing the onboarding process (follow interests + followed clubs)
 router.patch("/onboarding", authMiddleware, async (req, res) => {
   try {
@@ -271,10 +403,15 @@ router.post("/change-password", authMiddleware, async (req, res) => {
     if (!isMatch)
       return res.status(400).json({ error: "Incorrect current password" });
 
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    user.password = await hashPassword(newPassword);
     await user.save();
 
+    // sign out other devices, keep this one
+    await revokeAllSessions(user._id, req.sessionId);
+
     res.json({ message: "Password updated successfully" });
   } catch (error) {
     console.error("Password change error:", error);
@@ -282,9 +419,201 @@ router.post("/change-password", authMiddleware, async (req, res) => {
   }
 });
 
+// POST /api/auth/verify-email - confirm email ownership with the signed link token
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ error: "Verification link is invalid or has expired" });
+    }
+    if (decoded.purpose !== "verify-email") {
+      return res.status(400).json({ error: "Invalid verification token" });
+    }
+
+    const user = await User.findById(decoded.id);
+    // email in the token must still match the account
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ error: "Invalid verification token" });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+    }
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({ error: "Server error verifying email" });
+  }
+});
+
+// POST /api/auth/resend-verification - send a fresh verification link
+router.post("/resend-verification", authMiddleware, async (req, res) => {
+  try {
+    if (req.user.type !== "user") {
+      return res
+        .status(403)
+        .json({ error: "Only users need to verify their email" });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    // one email per minute
+    if (
+      user.verificationEmailSentAt &&
+      Date.now() - user.verificationEmailSentAt.getTime() < 60 * 1000
+    ) {
+      return res.status(429).json({
+        error: "Please wait a minute before requesting another email",
+      });
+    }
+
+    await sendVerificationLink(user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Server error sending verification email" });
+  }
+});
+
+// POST /api/auth/forgot-password - email a one-time password reset link (participants only)
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+    const normalizedEmail = email.toLowerCase().trim();
+    // same response whether or not the account exists
+    const genericResponse = {
+      message: "If an account exists for this email, a reset link has been sent",
+    };
+
+    // rate limit per email; tokens only exist for real accounts, so going over
+    // the limit is answered like any other request instead of with a 429
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const recentRequests = await PasswordResetToken.countDocuments({
+      email: normalizedEmail,
+      createdAt: { $gte: oneHourAgo },
+    });
+    if (recentRequests >= RESET_REQUESTS_PER_HOUR) {
+      return res.json(genericResponse);
+    }
+
+    const user = await User.findOne({ email: normalizedEmail });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // only the latest link should work
+    await PasswordResetToken.updateMany(
+      { userId: user._id, usedAt: null },
+      { usedAt: new Date() },
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await PasswordResetToken.create({
+      userId: user._id,
+      email: normalizedEmail,
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    });
+
+    await sendPasswordResetEmail({
+      to: user.email,
+      userName: `${user.firstName} ${user.lastName || ""}`.trim(),
+      resetLink: `${process.env.FRONTEND_URL}/reset-password?token=${token}`,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Server error requesting password reset" });
+  }
+});
+
+// POST /api/auth/reset-password - set a new password using an emailed token
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "Token and new password are required" });
+    }
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    // mark used atomically so the token can't be redeemed twice
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: hashResetToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true },
+    );
+    if (!resetToken) {
+      return res
+        .status(400)
+        .json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    user.password = await hashPassword(newPassword);
+    // revokes every token issued before now
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ message: "Password reset successfully. Please log in again." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ error: "Server error resetting password" });
+  }
+});
+
 // GET /api/auth/me - get current authenticated user data
 router.get("/me", authMiddleware, async (req, res) => {
   try {
+    const activeSessions = await Session.find({
+      accountId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+    const sessions = activeSessions.map((s) => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ipAddress: s.ipAddress,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current: s._id.toString() === req.sessionId?.toString(),
+    }));
+
     const baseUser = {
       id: req.user._id,
       email: req.user.email,
@@ -301,9 +630,11 @@ router.get("/me", authMiddleware, async (req, res) => {
           followedClubs: req.user.followedClubs || [],
           interests: req.user.interests || [],
           isIIITian: req.user.isIIITian || false,
+          isEmailVerified: req.user.isEmailVerified || false,
           collegeName: req.user.collegeName || "",
           contactNumber: req.user.contactNumber || "",
         },
+        sessions,
       });
     }
 
@@ -315,6 +646,7 @@ router.get("/me", authMiddleware, async (req, res) => {
           category: req.user.category,
           followerCount: req.user.followerCount,
         },
+        sessions,
       });
     }
 
@@ -324,6 +656,7 @@ router.get("/me", authMiddleware, async (req, res) => {
         firstName: req.user.firstName,
         lastName: req.user.lastName,
       },
+      sessions,
     });
   } catch (error) {
     console.error("Error fetching current user:", error);
@@ -144,6 +144,84 @@ router.post(
   },
 );
 
+// GET /api/clubs/following/preferences - notification preferences for every followed club
+router.get(
+  "/following/preferences",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const clubs = await Club.find(
+        { "followers.userId": req.user._id },
+        {
+          name: 1,
+          category: 1,
+          followers: { $elemMatch: { userId: req.user._id } },
+        },
+      );
+      const preferences = clubs.map((club) => ({
+        clubId: club._id,
+        name: club.name,
+        category: club.category,
+        emailPreference: club.followers[0]?.emailPreference || "immediate",
+        inAppNotifications: club.followers[0]?.inAppNotifications !== false,
+      }));
+      res.json({ preferences });
+    } catch (error) {
+      console.error("Error fetching notification preferences:", error);
+      res
+        .status(500)
+        .json({ error: "Server error fetching notification preferences" });
+    }
+  },
+);
+
+// PATCH /api/clubs/:id/notification-preferences - set how a followed club's new events reach the user
+router.patch(
+  "/:id/notification-preferences",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const { emailPreference, inAppNotifications } = req.body;
+      if (
+        emailPreference !== undefined &&
+        !["immediate", "digest", "none"].includes(emailPreference)
+      ) {
+        return res.status(400).json({
+          error: "emailPreference must be 'immediate', 'digest' or 'none'",
+        });
+      }
+
+      const update = {};
+      if (emailPreference !== undefined)
+        update["followers.$.emailPreference"] = emailPreference;
+      if (inAppNotifications !== undefined)
+        update["followers.$.inAppNotifications"] = !!inAppNotifications;
+      if (Object.keys(update).length === 0) {
+        return res.status(400).json({ error: "No preferences provided" });
+      }
+
+      const result = await Club.updateOne(
+        { _id: req.params.id, "followers.userId": req.user._id },
+        { $set: update },
+      );
+      if (result.matchedCount === 0) {
+        return res
+          .status(404)
+          .json({ error: "You are not following this club" });
+      }
+
+      res.json({ message: "Notification preferences updated" });
+    } catch (error) {
+      console.error("Error updating notification preferences:", error);
+      res
+        .status(500)
+        .json({ error: "Server error updating notification preferences" });
+    }
+  },
+);
+
 // GET /api/clubs/profile - gets profile of logged in club
 router.get(
   "/profile",
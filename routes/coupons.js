@@ -0,0 +1,215 @@
+const express = require("express");
+const router = express.Router();
+const Coupon = require("../models/coupon");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const authMiddleware = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/checkRole");
+const { buildMerchandiseOrder } = require("../utils/merchOrders");
+const { validateCoupon } = require("../utils/coupons");
+
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "usageLimit",
+  "perUserLimit",
+  "eligibility",
+  "validFrom",
+  "expiresAt",
+  "isActive",
+];
+
+// POST /api/coupons - Create a coupon for the club or one of its events
+router.post("/", authMiddleware, checkRole(["club"]), async (req, res) => {
+  try {
+    const { code, eventId, discountType, discountValue } = req.body;
+
+    if (!code || !discountType || discountValue === undefined) {
+      return res
+        .status(400)
+        .json({ error: "Code, discount type and discount value are required" });
+    }
+
+    if (eventId) {
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+    }
+
+    const coupon = new Coupon({
+      code,
+      clubId: req.user._id,
+      eventId: eventId || null,
+    });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+    await coupon.save();
+
+    res.status(201).json({ message: "Coupon created", coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A coupon with this code already exists" });
+    }
+    console.error("Coupon creation error:", error);
+    res.status(500).json({ error: error.message || "Failed to create coupon" });
+  }
+});
+
+// GET /api/coupons - Get the club's coupons, optionally for one event
+router.get("/", authMiddleware, checkRole(["club"]), async (req, res) => {
+  try {
+    const filter = { clubId: req.user._id };
+    if (req.query.eventId) filter.eventId = req.query.eventId;
+
+    const coupons = await Coupon.find(filter)
+      .populate("eventId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ coupons });
+  } catch (error) {
+    console.error("Error fetching coupons:", error);
+    res.status(500).json({ error: "Failed to fetch coupons" });
+  }
+});
+
+// GET /api/coupons/:id/redemptions - Registrations that used a coupon
+router.get(
+  "/:id/redemptions",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon || coupon.clubId.toString() !== req.user._id.toString()) {
+        return res.status(404).json({ error: "Coupon not found" });
+      }
+
+      const registrations = await Registration.find({ couponId: coupon._id })
+        .populate("userId", "firstName lastName email")
+        .populate("eventId", "name")
+        .sort({ createdAt: -1 });
+
+      res.json({
+        coupon,
+        redemptions: registrations.map((r) => ({
+          _id: r._id,
+          user: r.userId,
+          event: r.eventId,
+          discountAmount: r.discountAmount,
+          amountDue: r.amountDue,
+          status: r.status,
+          createdAt: r.createdAt,
+        })),
+        totalDiscount: registrations.reduce(
+          (sum, r) => sum + (r.discountAmount || 0),
+          0,
+        ),
+      });
+    } catch (error) {
+      console.error("Error fetching coupon redemptions:", error);
+      res.status(500).json({ error: "Failed to fetch coupon redemptions" });
+    }
+  },
+);
+
+// PATCH /api/coupons/:id - Update a coupon
+router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon || coupon.clubId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+    await coupon.save();
+
+    res.json({ message: "Coupon updated", coupon });
+  } catch (error) {
+    console.error("Coupon update error:", error);
+    res.status(500).json({ error: error.message || "Failed to update coupon" });
+  }
+});
+
+// DELETE /api/coupons/:id - Delete an unused coupon, or deactivate a used one
+router.delete("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon || coupon.clubId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    // Keep redeemed coupons so registrations still point at them
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        message: "Coupon has been used, so it was deactivated",
+      });
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: "Coupon deleted" });
+  } catch (error) {
+    console.error("Coupon deletion error:", error);
+    res.status(500).json({ error: "Failed to delete coupon" });
+  }
+});
+
+// POST /api/coupons/validate - Preview a coupon's discount before registering
+router.post(
+  "/validate",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const { code, eventId, merchandiseOrder } = req.body;
+
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      let amount = event.registrationFee || 0;
+      if (event.eventType === "merchandise") {
+        const built = buildMerchandiseOrder(event, merchandiseOrder);
+        if (built.error) {
+          return res.status(400).json({ error: built.error });
+        }
+        amount = built.order.totalAmount;
+      }
+
+      const { coupon, discountAmount, error } = await validateCoupon(
+        code,
+        event,
+        req.user,
+        amount,
+      );
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json({
+        code: coupon.code,
+        amount,
+        discountAmount,
+        amountDue: amount - discountAmount,
+      });
+    } catch (error) {
+      console.error("Coupon validation error:", error);
+      res.status(500).json({ error: "Failed to validate coupon" });
+    }
+  },
+);
+
+module.exports = router;
@@ -5,6 +5,20 @@ const Event = require("../models/event");
 const Registration = require("../models/registration");
 const authMiddleware = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/checkRole");
+const { emitToForum } = require("../utils/socket");
+const { notifyUser } = require("../utils/notifications");
+const {
+  broadcastAnnouncement,
+  scheduleAnnouncement,
+  cancelAnnouncement,
+} = require("../utils/announcements");
+
+// Helper to read a requested send time, null if it isn't a future date
+function parseScheduledAt(value) {
+  const scheduledAt = new Date(value);
+  if (isNaN(scheduledAt.getTime()) || scheduledAt <= new Date()) return null;
+  return scheduledAt;
+}
 
 // GET /api/discussions/notifications/user - Get announcement notifications for logged-in user
 router.get(
@@ -25,6 +39,7 @@ router.get(
         eventId: { $in: registeredEventIds },
         isAnnouncement: true,
         parentMessageId: null,
+        scheduledAt: null,
         deletedAt: null,
       })
         .populate("authorId", "firstName lastName name email")
@@ -85,13 +100,15 @@ router.get("/:eventId", authMiddleware, async (req, res) => {
       const registration = await Registration.findOne({
         userId: req.user._id,
         eventId: eventId,
+        status: { $nin: ["cancelled", "rejected"] },
       });
       isRegistered = !!registration;
     }
 
-    // Fetch discussions (exclude soft-deleted messages)
+    // Fetch discussions (exclude soft-deleted and not yet posted messages)
     const discussions = await Discussion.find({
       eventId: eventId,
+      scheduledAt: null,
       deletedAt: null,
     })
       .populate("authorId", "firstName lastName name email")
@@ -118,7 +135,7 @@ router.get("/:eventId", authMiddleware, async (req, res) => {
 router.post("/:eventId", authMiddleware, async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { message, isAnnouncement, parentMessageId } = req.body;
+    const { message, isAnnouncement, parentMessageId, scheduledAt } = req.body;
 
     if (!message || message.trim().length === 0) {
       return res.status(400).json({ error: "Message is required" });
@@ -144,6 +161,7 @@ router.post("/:eventId", authMiddleware, async (req, res) => {
       const registration = await Registration.findOne({
         userId: req.user._id,
         eventId: eventId,
+        status: { $nin: ["cancelled", "rejected"] },
       });
       if (!registration) {
         return res.status(403).json({ error: "Must be registered to post" });
@@ -157,6 +175,22 @@ router.post("/:eventId", authMiddleware, async (req, res) => {
         .json({ error: "Only organizers can post announcements" });
     }
 
+    // Only top-level announcements can be scheduled
+    let sendAt = null;
+    if (scheduledAt) {
+      if (!isAnnouncement || parentMessageId) {
+        return res
+          .status(400)
+          .json({ error: "Only announcements can be scheduled" });
+      }
+      sendAt = parseScheduledAt(scheduledAt);
+      if (!sendAt) {
+        return res
+          .status(400)
+          .json({ error: "Scheduled time must be in the future" });
+      }
+    }
+
     const discussion = new Discussion({
       eventId,
       authorId: req.user._id,
@@ -164,11 +198,42 @@ router.post("/:eventId", authMiddleware, async (req, res) => {
       message: message.trim(),
       isAnnouncement: isAnnouncement || false,
       parentMessageId: parentMessageId || null,
+      scheduledAt: sendAt,
     });
 
     await discussion.save();
     await discussion.populate("authorId", "firstName lastName name email");
 
+    // Scheduled announcements are posted by the job runner
+    if (sendAt) {
+      await scheduleAnnouncement(discussion);
+      return res.status(201).json({ discussion, scheduled: true });
+    }
+
+    if (discussion.isAnnouncement) {
+      await broadcastAnnouncement(discussion, event);
+    } else {
+      emitToForum(eventId, "discussion:created", { discussion });
+    }
+
+    // Let the parent author know about the reply (users only, not self)
+    if (parentMessageId) {
+      const parent = await Discussion.findById(parentMessageId);
+      if (
+        parent &&
+        parent.authorType === "User" &&
+        parent.authorId.toString() !== req.user._id.toString()
+      ) {
+        await notifyUser(parent.authorId, {
+          type: "discussion_reply",
+          title: `New reply in ${event.name}`,
+          message: discussion.message,
+          eventId,
+          discussionId: discussion._id,
+        });
+      }
+    }
+
     res.status(201).json({ discussion });
   } catch (error) {
     console.error("Error creating discussion:", error);
@@ -176,6 +241,138 @@ router.post("/:eventId", authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/discussions/:eventId/scheduled - Get scheduled announcements (Organizer only)
+router.get(
+  "/:eventId/scheduled",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const announcements = await Discussion.find({
+        eventId: event._id,
+        scheduledAt: { $ne: null },
+        deletedAt: null,
+      }).sort({ scheduledAt: 1 });
+
+      res.json({ announcements });
+    } catch (error) {
+      console.error("Error fetching scheduled announcements:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to fetch scheduled announcements" });
+    }
+  },
+);
+
+// PATCH /api/discussions/:id/scheduled - Edit a scheduled announcement (Organizer only)
+router.patch(
+  "/:id/scheduled",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { message, scheduledAt } = req.body;
+
+      const discussion = await Discussion.findById(req.params.id);
+      if (!discussion || discussion.deletedAt) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+
+      const event = await Event.findById(discussion.eventId);
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const updates = {};
+      if (message !== undefined) {
+        if (!message || message.trim().length === 0) {
+          return res.status(400).json({ error: "Message is required" });
+        }
+        updates.message = message.trim();
+      }
+      if (scheduledAt !== undefined) {
+        updates.scheduledAt = parseScheduledAt(scheduledAt);
+        if (!updates.scheduledAt) {
+          return res
+            .status(400)
+            .json({ error: "Scheduled time must be in the future" });
+        }
+      }
+
+      // Only while it is still scheduled, so a post in progress wins
+      const updated = await Discussion.findOneAndUpdate(
+        { _id: discussion._id, scheduledAt: { $ne: null }, deletedAt: null },
+        { $set: updates },
+        { new: true },
+      );
+      if (!updated) {
+        return res
+          .status(400)
+          .json({ error: "Announcement has already been posted" });
+      }
+
+      if (updates.scheduledAt) {
+        await scheduleAnnouncement(updated);
+      }
+
+      res.json({ discussion: updated });
+    } catch (error) {
+      console.error("Error updating scheduled announcement:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update scheduled announcement" });
+    }
+  },
+);
+
+// DELETE /api/discussions/:id/scheduled - Cancel a scheduled announcement (Organizer only)
+router.delete(
+  "/:id/scheduled",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const discussion = await Discussion.findById(req.params.id);
+      if (!discussion || discussion.deletedAt) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+
+      const event = await Event.findById(discussion.eventId);
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      // Never seen by anyone, so it is removed outright
+      const result = await Discussion.deleteOne({
+        _id: discussion._id,
+        scheduledAt: { $ne: null },
+      });
+      if (result.deletedCount === 0) {
+        return res
+          .status(400)
+          .json({ error: "Announcement has already been posted" });
+      }
+      await cancelAnnouncement(discussion._id);
+
+      res.json({ message: "Scheduled announcement cancelled" });
+    } catch (error) {
+      console.error("Error cancelling scheduled announcement:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to cancel scheduled announcement" });
+    }
+  },
+);
+
 // PATCH /api/discussions/:id/pin - Pin/Unpin a message (Organizer only)
 router.patch("/:id/pin", authMiddleware, async (req, res) => {
   try {
@@ -194,6 +391,11 @@ router.patch("/:id/pin", authMiddleware, async (req, res) => {
     discussion.isPinned = !discussion.isPinned;
     await discussion.save();
 
+    emitToForum(discussion.eventId, "discussion:pinned", {
+      discussionId: discussion._id,
+      isPinned: discussion.isPinned,
+    });
+
     res.json({
       discussion,
       message: `Message ${discussion.isPinned ? "pinned" : "unpinned"}`,
@@ -228,6 +430,10 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     discussion.deletedAt = new Date();
     await discussion.save();
 
+    emitToForum(discussion.eventId, "discussion:deleted", {
+      discussionId: discussion._id,
+    });
+
     res.json({ message: "Message deleted successfully" });
   } catch (error) {
     console.error("Error deleting message:", error);
@@ -274,6 +480,11 @@ router.post("/:id/react", authMiddleware, async (req, res) => {
     await discussion.save();
     await discussion.populate("authorId", "firstName lastName name email");
 
+    emitToForum(discussion.eventId, "discussion:reacted", {
+      discussionId: discussion._id,
+      reactions: discussion.reactions,
+    });
+
     res.json({ discussion });
   } catch (error) {
     console.error("Error adding reaction:", error);
@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Fuse = require("fuse.js");
 const fs = require("fs");
 const path = require("path");
@@ -8,17 +9,89 @@ const Registration = require("../models/registration");
 const Club = require("../models/club");
 const Discussion = require("../models/discussion");
 const Feedback = require("../models/feedback");
+const Team = require("../models/team");
 const authMiddleware = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/checkRole");
 const { v4: uuidv4 } = require("uuid");
-const axios = require("axios");
 const QRCode = require("qrcode");
 const {
   generateEncryptedQRCode,
   sendRegistrationEmail,
+  sendCancellationEmail,
   decryptQRData,
 } = require("../utils/emailService");
+const {
+  CLOSED_STATUSES,
+  holdsSeat,
+  getSeatsTaken,
+  reserveSeat,
+  claimSeat,
+  confirmSeat,
+  releaseSeat,
+  rejectPendingApprovals,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+} = require("../utils/seatManager");
+const { emitToAttendance } = require("../utils/socket");
+const { notifyUser } = require("../utils/notifications");
+const {
+  announceEventPublished,
+  schedulePublish,
+  cancelScheduledPublish,
+} = require("../utils/eventPublishing");
+const {
+  approvePayment,
+  getRegistrationAmount,
+} = require("../utils/paymentApproval");
+const {
+  buildMerchandiseOrder,
+  getOrderItems,
+  getLineItemBreakdown,
+} = require("../utils/merchOrders");
+const {
+  reserveOrderStock,
+  sellOrderStock,
+  commitOrderStock,
+  releaseOrderStock,
+} = require("../utils/inventory");
+const {
+  computeDiscount,
+  validateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  releaseRegistrationCoupon,
+} = require("../utils/coupons");
+const {
+  previewPrice,
+  claimPrice,
+  releaseTierSlot,
+} = require("../utils/pricing");
+const {
+  normalizeReference,
+  parseStatement,
+  matchStatement,
+} = require("../utils/bankStatement");
+const { assignReceiptNumber, renderReceipt } = require("../utils/receipts");
+const {
+  fingerprintProof,
+  findDuplicateProofs,
+} = require("../utils/proofFingerprint");
+const { requestRefund, getRefundedTotals } = require("../utils/refunds");
+const {
+  markAbsentees,
+  cancelEvent,
+  postponeEvent,
+} = require("../utils/eventLifecycle");
+const {
+  getFulfillmentStatus,
+  confirmedOrderFilter,
+  setFulfillmentStatus,
+  confirmPickup,
+  getVendorSheet,
+} = require("../utils/fulfillment");
+const { setEventLocation, checkVenueBooking } = require("../utils/venues");
 const paymentProofUpload = require("../middleware/uploadMiddleware");
+const statementUpload = require("../middleware/statementUploadMiddleware");
 const formFileUpload = require("../middleware/formUploadMiddleware");
 
 // GET /api/events/all - Get all events (Admin only)
@@ -34,54 +107,6 @@ router.get("/all", authMiddleware, checkRole(["admin"]), async (req, res) => {
     res.status(500).json({ error: "Failed to fetch events" });
   }
 });
-
-// Helper function to send Discord notification
-async function sendDiscordNotification(club, event) {
-  if (!club.discordWebhook) return;
-
-  try {
-    await axios.post(club.discordWebhook, {
-      embeds: [
-        {
-          title: `New Event: ${event.name}`,
-          description: event.description,
-          fields: [
-            {
-              name: "Event Date",
-              value: new Date(event.eventStartDate).toLocaleDateString(),
-              inline: true,
-            },
-            {
-              name: "Registration Fee",
-              value:
-                event.registrationFee > 0
-                  ? `₹${event.registrationFee}`
-                  : "Free",
-              inline: true,
-            },
-            {
-              name: "👥 Spots Available",
-              value: `${event.registrationLimit}`,
-              inline: true,
-            },
-            {
-              name: "Registration Deadline",
-              value: new Date(event.registrationDeadline).toLocaleString(),
-              inline: false,
-            },
-          ],
-          footer: {
-            text: `Event Type: ${event.eventType} | Eligibility: ${event.eligibility}`,
-          },
-          timestamp: new Date().toISOString(),
-        },
-      ],
-    });
-  } catch (error) {
-    console.error("Discord webhook error:", error.message);
-  }
-}
-
 // GET /api/events/trending - Get trending events (most registrations in last 24h)
 router.get("/trending", async (req, res) => {
   try {
@@ -111,7 +136,12 @@ router.get("/trending", async (req, res) => {
         },
       },
       { $unwind: "$club" },
-      { $match: { "club.enabled": true, status: { $ne: "completed" } } },
+      {
+        $match: {
+          "club.enabled": true,
+          "event.status": { $nin: ["completed", "cancelled"] },
+        },
+      },
     ]);
 
     if (trendingStats.length === 0) {
@@ -161,7 +191,9 @@ router.get("/", async (req, res) => {
 
     // Build status-based query with time-derivation logic
     const now = new Date();
-    const statusArray = status ? status.split(",") : ["published", "ongoing"];
+    const statusArray = status
+      ? status.split(",")
+      : ["published", "ongoing", "postponed", "cancelled"];
     const statusQueries = [];
 
     statusArray.forEach((s) => {
@@ -186,6 +218,12 @@ router.get("/", async (req, res) => {
             },
           ],
         });
+      } else if (s === "postponed") {
+        // On hold until the organizer sets new dates
+        statusQueries.push({ status: "postponed" });
+      } else if (s === "cancelled") {
+        // Cancelled events stay listed until they would have ended
+        statusQueries.push({ status: "cancelled", eventEndDate: { $gt: now } });
       } else if (s === "completed") {
         // Effective 'completed'
         statusQueries.push({
@@ -265,6 +303,60 @@ router.get(
   },
 );
 
+// GET /api/events/my-registrations/:registrationId/receipt - Download the PDF receipt of a paid registration
+router.get(
+  "/my-registrations/:registrationId/receipt",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const registration = await Registration.findById(
+        req.params.registrationId,
+      ).populate("userId", "firstName lastName email");
+      if (!registration) {
+        return res.status(404).json({ error: "Registration not found" });
+      }
+
+      const event = await Event.findById(registration.eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      // Only the participant or the organizer can download it
+      // (userId is null once the participant's account was deleted)
+      const isOwner =
+        registration.userId?._id.toString() === req.user._id?.toString();
+      const isOrganizer =
+        event.organizerId.toString() === req.user._id?.toString();
+      if (!isOwner && !isOrganizer) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (registration.paymentApprovalStatus !== "approved") {
+        return res
+          .status(400)
+          .json({ error: "Receipts are only available for approved payments" });
+      }
+
+      // Payments approved before receipts existed get their number now
+      if (!registration.receiptNumber) {
+        await assignReceiptNumber(event, registration);
+        await registration.save();
+      }
+
+      const pdf = await renderReceipt(event, registration);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="receipt-${registration.receiptNumber}.pdf"`,
+      );
+      res.send(pdf);
+    } catch (error) {
+      console.error("Receipt download error:", error);
+      res.status(500).json({ error: "Failed to generate receipt" });
+    }
+  },
+);
+
 // GET /api/events/organizer/my-events - Get all events by logged-in organizer
 router.get(
   "/organizer/my-events",
@@ -284,6 +376,40 @@ router.get(
   },
 );
 
+// GET /api/events/organizer/scheduled - Get scheduled publishes and announcements of logged-in organizer
+router.get(
+  "/organizer/scheduled",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const events = await Event.find({
+        organizerId: req.user._id,
+        status: "draft",
+        publishAt: { $ne: null },
+      })
+        .select("name eventType publishAt registrationDeadline eventStartDate")
+        .sort({ publishAt: 1 });
+
+      const eventIds = await Event.distinct("_id", {
+        organizerId: req.user._id,
+      });
+      const announcements = await Discussion.find({
+        eventId: { $in: eventIds },
+        scheduledAt: { $ne: null },
+        deletedAt: null,
+      })
+        .populate("eventId", "name")
+        .sort({ scheduledAt: 1 });
+
+      res.json({ events, announcements });
+    } catch (error) {
+      console.error("Error fetching scheduled items:", error);
+      res.status(500).json({ error: "Failed to fetch scheduled items" });
+    }
+  },
+);
+
 // GET /api/events/organizer/:id - Get event details for organizer (includes analytics)
 router.get(
   "/organizer/:id",
@@ -311,19 +437,19 @@ router.get(
         status: { $nin: ["cancelled", "rejected"] },
       });
 
-      let computedRevenue = 0;
-      for (const reg of approvedRegistrations) {
-        if (event.eventType === "merchandise" && reg.merchandiseSelection?.variantId) {
-          const variant = event.merchandiseDetails?.variants?.find(
-            (v) => v.variantId === reg.merchandiseSelection.variantId
-          );
-          if (variant) {
-            computedRevenue += variant.price * (reg.merchandiseSelection.quantity || 1);
-          }
-        } else if (event.eventType === "normal") {
-          computedRevenue += event.registrationFee || 0;
-        }
+      // Money collected stays in revenue after a cancellation until it is refunded
+      const paidRegistrations = await Registration.find({
+        eventId: event._id,
+        paymentApprovalStatus: "approved",
+      });
+
+      let grossRevenue = 0;
+      for (const reg of paidRegistrations) {
+        grossRevenue += reg.amountPaid ?? getRegistrationAmount(event, reg);
       }
+      const refundedTotals = await getRefundedTotals([event._id]);
+      const refundedAmount = refundedTotals[event._id.toString()] || 0;
+      const computedRevenue = grossRevenue - refundedAmount;
 
       const confirmedRegistrations = await Registration.countDocuments({
         eventId: event._id,
@@ -332,7 +458,29 @@ router.get(
 
       const eventObj = event.toObject();
       eventObj.totalRevenue = computedRevenue;
+      eventObj.grossRevenue = grossRevenue;
+      eventObj.refundedAmount = refundedAmount;
+      if (event.priceTiers && event.priceTiers.length > 0) {
+        // Paid registrations grouped by the tier their price came from
+        const tierBreakdown = {};
+        for (const reg of paidRegistrations) {
+          const name = reg.priceTierName || "Standard";
+          if (!tierBreakdown[name]) {
+            tierBreakdown[name] = { tier: name, count: 0, revenue: 0 };
+          }
+          tierBreakdown[name].count += 1;
+          tierBreakdown[name].revenue +=
+            reg.amountPaid ?? getRegistrationAmount(event, reg);
+        }
+        eventObj.tierBreakdown = Object.values(tierBreakdown);
+      }
       eventObj.totalRegistrations = confirmedRegistrations;
+      if (event.eventType === "merchandise") {
+        eventObj.merchandiseBreakdown = getLineItemBreakdown(
+          event,
+          approvedRegistrations,
+        );
+      }
 
       res.json({ event: eventObj });
     } catch (error) {
@@ -361,45 +509,36 @@ router.get(
         status: { $in: ["registered", "attended"] },
       });
 
-      const approvedRegistrations = await Registration.find({
+      // Every collected payment counts, cancelled or not, until it is refunded
+      const paidRegistrations = await Registration.find({
         eventId: { $in: eventIds },
-        $or: [
-          { paymentStatus: "completed", paymentApprovalStatus: "approved" },
-          { paymentStatus: "free", paymentApprovalStatus: "not_required" },
-        ],
-        status: { $nin: ["cancelled", "rejected"] },
+        paymentApprovalStatus: "approved",
       });
 
-      // Build a fee lookup from events
-      const eventFeeMap = {};
+      const eventMap = {};
       for (const e of events) {
-        if (e.eventType === "merchandise") {
-          // fee is per-variant; we'll calculate per registration below
-          eventFeeMap[e._id.toString()] = { type: "merchandise", event: e };
-        } else {
-          eventFeeMap[e._id.toString()] = { type: "normal", fee: e.registrationFee || 0 };
-        }
+        eventMap[e._id.toString()] = e;
       }
 
-      let totalRevenue = 0;
-      for (const reg of approvedRegistrations) {
-        const info = eventFeeMap[reg.eventId.toString()];
-        if (!info) continue;
-        if (info.type === "merchandise" && reg.merchandiseSelection?.variantId) {
-          const variant = info.event.merchandiseDetails?.variants?.find(
-            (v) => v.variantId === reg.merchandiseSelection.variantId
-          );
-          if (variant) {
-            totalRevenue += variant.price * (reg.merchandiseSelection.quantity || 1);
-          }
-        } else if (info.type === "normal") {
-          totalRevenue += info.fee;
-        }
+      let grossRevenue = 0;
+      for (const reg of paidRegistrations) {
+        const event = eventMap[reg.eventId.toString()];
+        if (!event) continue;
+        grossRevenue += reg.amountPaid ?? getRegistrationAmount(event, reg);
       }
 
+      const refundedTotals = await getRefundedTotals(eventIds);
+      const refundedAmount = Object.values(refundedTotals).reduce(
+        (sum, amount) => sum + amount,
+        0,
+      );
+      const totalRevenue = grossRevenue - refundedAmount;
+
       const summary = {
         totalRegistrations,
         totalRevenue,
+        grossRevenue,
+        refundedAmount,
         totalAttendance: events.reduce(
           (sum, e) => sum + (e.totalAttendance || 0),
           0,
@@ -448,9 +587,22 @@ router.get(
         paymentStatus: reg.paymentStatus,
         status: reg.status,
         teamName: reg.teamName || "-",
+        teamId: reg.teamId,
         ticketId: reg.ticketId,
         formData: reg.formData,
         merchandiseSelection: reg.merchandiseSelection,
+        orderItems: getOrderItems(reg),
+        fulfillment:
+          event.eventType === "merchandise"
+            ? {
+                status: getFulfillmentStatus(reg),
+                readyAt: reg.merchandiseOrder?.readyAt,
+                pickedUpAt: reg.merchandiseOrder?.pickedUpAt,
+                shippedAt: reg.merchandiseOrder?.shippedAt,
+                carrier: reg.merchandiseOrder?.carrier,
+                trackingNumber: reg.merchandiseOrder?.trackingNumber,
+              }
+            : undefined,
       }));
 
       res.json({ participants, count: participants.length });
@@ -479,11 +631,7 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ error: "Event not found" });
     }
 
-    if (
-      event.status !== "published" &&
-      event.status !== "ongoing" &&
-      event.status !== "completed"
-    ) {
+    if (event.status === "draft") {
       return res.status(404).json({ error: "Event not found" });
     }
 
@@ -494,6 +642,47 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// GET /api/events/:id/price - Get the fee the logged-in participant would pay right now
+router.get("/:id/price", authMiddleware, checkRole(["user"]), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const { tier, price } = previewPrice(event, req.user);
+    res.json({
+      price,
+      tier: tier
+        ? {
+            _id: tier._id,
+            name: tier.name,
+            endsAt: tier.endsAt,
+            remaining: tier.quota ? tier.quota - tier.soldCount : null,
+          }
+        : null,
+      baseFee: event.registrationFee || 0,
+    });
+  } catch (error) {
+    console.error("Error fetching event price:", error);
+    res.status(500).json({ error: "Failed to fetch event price" });
+  }
+});
+
+// Helper to check a requested publish time, returns an error message or null
+function validatePublishAt(publishAt, registrationDeadline) {
+  if (!publishAt) return null;
+  const publishDate = new Date(publishAt);
+  if (isNaN(publishDate.getTime())) return "Invalid publish time";
+  if (publishDate <= new Date()) {
+    return "Publish time must be in the future";
+  }
+  if (publishDate >= new Date(registrationDeadline)) {
+    return "Publish time must be before the registration deadline";
+  }
+  return null;
+}
+
 // POST /api/events - Create new event (Club only)
 router.post("/", authMiddleware, checkRole(["club"]), async (req, res) => {
   try {
@@ -507,9 +696,19 @@ router.post("/", authMiddleware, checkRole(["club"]), async (req, res) => {
       eventEndDate,
       registrationLimit,
       registrationFee,
+      priceTiers,
+      cancellationCutoffHours,
+      waitlistClaimHours,
+      seatHoldHours,
+      isTeamEvent,
+      minTeamSize,
+      maxTeamSize,
       tags,
       customForm,
       merchandiseDetails,
+      publishAt,
+      venueId,
+      onlineLink,
     } = req.body;
 
     // Validation
@@ -554,6 +753,17 @@ router.post("/", authMiddleware, checkRole(["club"]), async (req, res) => {
         .json({ error: "Event end date must be after start date" });
     }
 
+    if (isTeamEvent && eventType !== "normal") {
+      return res
+        .status(400)
+        .json({ error: "Only normal events can be team events" });
+    }
+
+    const publishError = validatePublishAt(publishAt, registrationDeadline);
+    if (publishError) {
+      return res.status(400).json({ error: publishError });
+    }
+
     // Validate merchandise events
     if (eventType === "merchandise") {
       if (
@@ -578,14 +788,39 @@ router.post("/", authMiddleware, checkRole(["club"]), async (req, res) => {
       eventEndDate,
       registrationLimit,
       registrationFee: eventType === "merchandise" ? 0 : registrationFee || 0,
+      priceTiers: eventType === "normal" ? priceTiers || [] : [],
+      cancellationCutoffHours,
+      waitlistClaimHours,
+      seatHoldHours,
+      isTeamEvent: eventType === "normal" ? isTeamEvent || false : false,
+      minTeamSize: isTeamEvent ? minTeamSize : undefined,
+      maxTeamSize: isTeamEvent ? maxTeamSize : undefined,
       tags: tags || [],
       customForm: customForm || { fields: [], locked: false },
       merchandiseDetails:
         eventType === "merchandise" ? merchandiseDetails : undefined,
       status: "draft",
+      publishAt: publishAt || null,
+    });
+
+    // Venue or online link, checked against the venue's other bookings
+    const locationResult = await setEventLocation(event, {
+      venueId,
+      onlineLink,
     });
+    if (locationResult.error) {
+      return res.status(400).json({ error: locationResult.error });
+    }
+    const bookingError = await checkVenueBooking(event);
+    if (bookingError) {
+      return res.status(bookingError.status).json({
+        error: bookingError.error,
+        conflicts: bookingError.conflicts,
+      });
+    }
 
     await event.save();
+    await schedulePublish(event);
 
     res.status(201).json({
       message: "Event created successfully",
@@ -620,16 +855,28 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
       eventEndDate,
       registrationLimit,
       registrationFee,
+      priceTiers,
+      cancellationCutoffHours,
+      waitlistClaimHours,
+      seatHoldHours,
+      isTeamEvent,
+      minTeamSize,
+      maxTeamSize,
       tags,
       customForm,
       merchandiseDetails,
+      reservationWindowHours,
       status,
+      publishAt,
+      venueId,
+      onlineLink,
     } = req.body;
 
+    const wasDraft = event.status === "draft";
+
     // Editing rules based on status
     if (event.status === "draft") {
       // Draft: free edits
-      const oldStatus = event.status;
       if (name) event.name = name;
       if (description) event.description = description;
       if (eligibility) event.eligibility = eligibility;
@@ -641,21 +888,77 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
       if (registrationFee !== undefined)
         event.registrationFee =
           event.eventType === "merchandise" ? 0 : registrationFee;
+      if (priceTiers && event.eventType === "normal")
+        event.priceTiers = priceTiers;
+      if (cancellationCutoffHours !== undefined)
+        event.cancellationCutoffHours = cancellationCutoffHours;
+      if (waitlistClaimHours) event.waitlistClaimHours = waitlistClaimHours;
+      if (seatHoldHours) event.seatHoldHours = seatHoldHours;
+      if (isTeamEvent !== undefined)
+        event.isTeamEvent = event.eventType === "normal" ? isTeamEvent : false;
+      if (minTeamSize) event.minTeamSize = minTeamSize;
+      if (maxTeamSize) event.maxTeamSize = maxTeamSize;
       if (tags) event.tags = tags;
       if (customForm) event.customForm = customForm;
       if (merchandiseDetails) event.merchandiseDetails = merchandiseDetails;
+      if (reservationWindowHours && event.eventType === "merchandise")
+        event.merchandiseDetails.reservationWindowHours =
+          reservationWindowHours;
       if (status) event.status = status;
 
-      // Send Discord notification when publishing
-      if (oldStatus === "draft" && status === "published") {
-        const club = await Club.findById(event.organizerId);
-        if (club) {
-          await sendDiscordNotification(club, event);
+      // Scheduled publishing, null clears it
+      if (publishAt !== undefined) {
+        const publishError = validatePublishAt(
+          publishAt,
+          event.registrationDeadline,
+        );
+        if (publishError) {
+          return res.status(400).json({ error: publishError });
+        }
+        event.publishAt = publishAt || null;
+      }
+
+      // Publishing by hand replaces any scheduled publish
+      if (event.status !== "draft") event.publishAt = null;
+
+      if (venueId !== undefined || onlineLink !== undefined) {
+        const locationResult = await setEventLocation(event, {
+          venueId,
+          onlineLink,
+        });
+        if (locationResult.error) {
+          return res.status(400).json({ error: locationResult.error });
+        }
+      }
+
+      // Re-check the booking whenever where, when or how many changes
+      if (
+        event.isModified([
+          "venueId",
+          "eventStartDate",
+          "eventEndDate",
+          "registrationLimit",
+          "status",
+        ])
+      ) {
+        const bookingError = await checkVenueBooking(event);
+        if (bookingError) {
+          return res.status(bookingError.status).json({
+            error: bookingError.error,
+            conflicts: bookingError.conflicts,
+          });
         }
       }
     } else if (event.status === "published") {
       // Published: limited edits
       if (description) event.description = description;
+      if (cancellationCutoffHours !== undefined)
+        event.cancellationCutoffHours = cancellationCutoffHours;
+      if (waitlistClaimHours) event.waitlistClaimHours = waitlistClaimHours;
+      if (seatHoldHours) event.seatHoldHours = seatHoldHours;
+      if (reservationWindowHours && event.eventType === "merchandise")
+        event.merchandiseDetails.reservationWindowHours =
+          reservationWindowHours;
 
       // Can extend deadline
       if (registrationDeadline) {
@@ -670,7 +973,7 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
         }
       }
 
-      // Can increase limit
+      // Can increase limit, up to the venue's capacity
       if (registrationLimit) {
         if (registrationLimit >= event.registrationLimit) {
           event.registrationLimit = registrationLimit;
@@ -679,19 +982,21 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
             error: "Can only increase registration limit, not reduce it",
           });
         }
+        const bookingError = await checkVenueBooking(event, {
+          checkConflicts: false,
+        });
+        if (bookingError) {
+          return res
+            .status(bookingError.status)
+            .json({ error: bookingError.error });
+        }
       }
 
       // Can complete event directly
       if (status === "completed") {
         event.status = "completed";
         // Mark all non-scanned participants as absent
-        await Registration.updateMany(
-          { eventId: event._id, attendanceStatus: "not_checked" },
-          {
-            attendanceStatus: "absent",
-            attendanceTimestamp: new Date(),
-          },
-        );
+        await markAbsentees(event._id);
       }
 
       // Can mark as ongoing if start date has passed
@@ -703,13 +1008,7 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
       if (status === "completed") {
         event.status = status;
         // Mark all non-scanned participants as absent when completing
-        await Registration.updateMany(
-          { eventId: event._id, attendanceStatus: "not_checked" },
-          {
-            attendanceStatus: "absent",
-            attendanceTimestamp: new Date(),
-          },
-        );
+        await markAbsentees(event._id);
       } else {
         return res.status(400).json({
           error: "Cannot edit ongoing/completed events except status",
@@ -719,6 +1018,19 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
 
     await event.save();
 
+    if (wasDraft) {
+      await schedulePublish(event);
+      // Send Discord notification when publishing
+      if (event.status === "published") {
+        await announceEventPublished(event);
+      }
+    }
+
+    // A raised limit frees seats for the waitlist
+    if (registrationLimit) {
+      await promoteFromWaitlist(event._id);
+    }
+
     res.json({
       message: "Event updated successfully",
       event,
@@ -729,6 +1041,42 @@ router.patch("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
   }
 });
 
+// DELETE /api/events/:id/scheduled-publish - Cancel a scheduled publish (draft stays a draft)
+router.delete(
+  "/:id/scheduled-publish",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      // Check ownership
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (event.status !== "draft" || !event.publishAt) {
+        return res
+          .status(400)
+          .json({ error: "Event has no scheduled publish" });
+      }
+
+      event.publishAt = null;
+      await event.save();
+      await cancelScheduledPublish(event._id);
+
+      res.json({ message: "Scheduled publish cancelled", event });
+    } catch (error) {
+      console.error("Error cancelling scheduled publish:", error);
+      res.status(500).json({ error: "Failed to cancel scheduled publish" });
+    }
+  },
+);
+
 // DELETE /api/events/:id - Delete event (only drafts)
 router.delete("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
   try {
@@ -748,8 +1096,10 @@ router.delete("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
       return res.status(400).json({ error: "Can only delete draft events" });
     }
 
+    await cancelScheduledPublish(event._id);
     await Promise.all([
       Registration.deleteMany({ eventId: req.params.id }),
+      Team.deleteMany({ eventId: req.params.id }),
       Feedback.deleteMany({ eventId: req.params.id }),
       Discussion.deleteMany({ eventId: req.params.id }),
     ]);
@@ -763,104 +1113,367 @@ router.delete("/:id", authMiddleware, checkRole(["club"]), async (req, res) => {
   }
 });
 
-// POST /api/events/:id/register - Register for event
+// POST /api/events/:id/cancel - Cancel a published event and notify every registrant
 router.post(
-  "/:id/register",
+  "/:id/cancel",
   authMiddleware,
-  checkRole(["user"]),
-  formFileUpload.any(),
+  checkRole(["club"]),
   async (req, res) => {
     try {
-      const eventId = req.params.id;
-      const userId = req.user._id;
-
-      let { formData, merchandiseSelection, teamName } = req.body;
+      const { reason } = req.body;
 
-      // Handle file uploads if any
-      if (req.files && req.files.length > 0) {
-        if (typeof formData === "string") {
-          try {
-            formData = JSON.parse(formData);
-          } catch (e) {
-            formData = {};
-          }
-        }
-        if (Array.isArray(formData)) {
-          req.files.forEach(file => {
-            const fieldIndex = formData.findIndex(f => f.fieldId === file.fieldname);
-            if (fieldIndex !== -1) {
-              formData[fieldIndex].value = file.filename;
-            } else {
-              formData.push({ fieldId: file.fieldname, value: file.filename });
-            }
-          });
-        } else if (formData && typeof formData === 'object') {
-          req.files.forEach(file => {
-            formData[file.fieldname] = file.filename;
-          });
-        }
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
       }
 
-      if (typeof merchandiseSelection === "string") {
-        try { merchandiseSelection = JSON.parse(merchandiseSelection); } catch (e) { }
+      // Check ownership
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
       }
 
-
-      const event = await Event.findById(eventId);
-      if (!event) return res.status(404).json({ error: "Event not found" });
-
-      if (event.status !== "published" && event.status !== "ongoing") {
+      if (event.status === "draft") {
         return res
           .status(400)
-          .json({ error: "Event is not open for registration" });
+          .json({ error: "Draft events can be deleted instead" });
       }
-
-      if (new Date() > new Date(event.registrationDeadline)) {
+      if (event.effectiveStatus === "completed") {
         return res
           .status(400)
-          .json({ error: "Registration deadline has passed" });
+          .json({ error: "Cannot cancel a completed event" });
       }
 
-      // Eligibility Check
-      if (event.eligibility === "iiitans" && !req.user.isIIITian) {
-        return res
-          .status(403)
-          .json({ error: "This event is restricted to IIITians only" });
-      }
-      if (event.eligibility === "external" && req.user.isIIITian) {
-        return res
-          .status(403)
-          .json({ error: "This event is restricted to external participants only" });
+      const result = await cancelEvent(event._id, { reason });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
       }
 
-      if (event.totalRegistrations >= event.registrationLimit) {
-        return res.status(400).json({ error: "Registration limit reached" });
+      res.json({
+        message: "Event cancelled successfully",
+        event: result.event,
+        cancelledRegistrations: result.cancelled,
+        refundsOpened: result.refunds,
+      });
+    } catch (error) {
+      console.error("Event cancellation error:", error);
+      res.status(500).json({ error: "Failed to cancel event" });
+    }
+  },
+);
+
+// POST /api/events/:id/postpone - Postpone an event, optionally to new dates, and notify every registrant
+router.post(
+  "/:id/postpone",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { reason, eventStartDate, eventEndDate, registrationDeadline } =
+        req.body;
+
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
       }
 
-      // Check already registered
-      const existing = await Registration.findOne({ userId, eventId });
-      if (existing) {
+      // Check ownership
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (
+        event.status !== "postponed" &&
+        event.effectiveStatus !== "published"
+      ) {
+        return res.status(400).json({
+          error: "Only events that have not started can be postponed",
+        });
+      }
+
+      // Without new dates the event is put on hold
+      let dates = null;
+      if (eventStartDate || eventEndDate || registrationDeadline) {
+        if (!eventStartDate || !eventEndDate) {
+          return res
+            .status(400)
+            .json({ error: "New start and end dates are both required" });
+        }
+
+        const startDate = new Date(eventStartDate);
+        const endDate = new Date(eventEndDate);
+        const regDeadline = new Date(
+          registrationDeadline || event.registrationDeadline,
+        );
+        if (
+          isNaN(startDate.getTime()) ||
+          isNaN(endDate.getTime()) ||
+          isNaN(regDeadline.getTime())
+        ) {
+          return res.status(400).json({ error: "Invalid date" });
+        }
+
+        if (startDate <= new Date()) {
+          return res
+            .status(400)
+            .json({ error: "Event start date must be in the future" });
+        }
+        if (endDate <= startDate) {
+          return res
+            .status(400)
+            .json({ error: "Event end date must be after start date" });
+        }
+        if (startDate <= regDeadline) {
+          return res.status(400).json({
+            error: "Event start date must be after registration deadline",
+          });
+        }
+
+        dates = {
+          eventStartDate: startDate,
+          eventEndDate: endDate,
+          registrationDeadline: regDeadline,
+        };
+
+        // The venue has to be free on the new dates too
+        const bookingError = await checkVenueBooking({
+          _id: event._id,
+          venueId: event.venueId,
+          registrationLimit: event.registrationLimit,
+          ...dates,
+        });
+        if (bookingError) {
+          return res.status(bookingError.status).json({
+            error: bookingError.error,
+            conflicts: bookingError.conflicts,
+          });
+        }
+      } else if (event.status === "postponed") {
         return res
-          .status(409)
-          .json({ error: "Already registered for this event" });
+          .status(400)
+          .json({ error: "Event is already postponed - provide new dates" });
+      }
+
+      const result = await postponeEvent(event, { reason, dates });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({
+        message: dates
+          ? "Event rescheduled successfully"
+          : "Event postponed successfully",
+        event: result.event,
+        notifiedRegistrations: result.notified,
+        reissuedTickets: result.reissued,
+      });
+    } catch (error) {
+      console.error("Event postponement error:", error);
+      res.status(500).json({ error: "Failed to postpone event" });
+    }
+  },
+);
+
+// Helper to answer a duplicate registration caught by the unique (userId, eventId) index
+async function sendAlreadyRegistered(res, userId, eventId) {
+  const existing = await Registration.findOne({
+    userId,
+    eventId,
+    status: { $ne: "cancelled" },
+  });
+  return res.status(409).json({
+    error:
+      existing?.status === "waitlisted"
+        ? "Already on the waitlist for this event"
+        : "Already registered for this event",
+  });
+}
+
+// Helper to put a participant on a full event's waitlist and send the response
+async function addToWaitlist(res, { userId, eventId, formData, teamName }) {
+  const waitlisted = new Registration({
+    userId,
+    eventId,
+    status: "waitlisted",
+    waitlistedAt: new Date(),
+    formData,
+    teamName,
+    attendanceStatus: "not_checked",
+  });
+  try {
+    await waitlisted.save();
+  } catch (saveError) {
+    // Only the (userId, eventId) index means a duplicate registration
+    if (
+      saveError.code === 11000 &&
+      saveError.keyPattern?.userId &&
+      saveError.keyPattern?.eventId
+    ) {
+      return sendAlreadyRegistered(res, userId, eventId);
+    }
+    throw saveError;
+  }
+
+  const waitlistPosition = await getWaitlistPosition(waitlisted);
+  return res.status(201).json({
+    message: `Event is full. You have been added to the waitlist at position ${waitlistPosition}.`,
+    waitlisted: true,
+    waitlistPosition,
+    registrationId: waitlisted._id,
+  });
+}
+
+// POST /api/events/:id/register - Register for event
+router.post(
+  "/:id/register",
+  authMiddleware,
+  checkRole(["user"]),
+  formFileUpload.any(),
+  async (req, res) => {
+    try {
+      const eventId = req.params.id;
+      const userId = req.user._id;
+
+      let {
+        formData,
+        merchandiseSelection,
+        merchandiseOrder,
+        teamName,
+        couponCode,
+      } = req.body;
+
+      // Handle file uploads if any
+      if (req.files && req.files.length > 0) {
+        if (typeof formData === "string") {
+          try {
+            formData = JSON.parse(formData);
+          } catch (e) {
+            formData = {};
+          }
+        }
+        if (Array.isArray(formData)) {
+          req.files.forEach(file => {
+            const fieldIndex = formData.findIndex(f => f.fieldId === file.fieldname);
+            if (fieldIndex !== -1) {
+              formData[fieldIndex].value = file.filename;
+            } else {
+              formData.push({ fieldId: file.fieldname, value: file.filename });
+            }
+          });
+        } else if (formData && typeof formData === 'object') {
+          req.files.forEach(file => {
+            formData[file.fieldname] = file.filename;
+          });
+        }
+      }
+
+      if (typeof merchandiseSelection === "string") {
+        try { merchandiseSelection = JSON.parse(merchandiseSelection); } catch (e) { }
+      }
+      if (typeof merchandiseOrder === "string") {
+        try { merchandiseOrder = JSON.parse(merchandiseOrder); } catch (e) { }
+      }
+
+
+      const event = await Event.findById(eventId);
+      if (!event) return res.status(404).json({ error: "Event not found" });
+
+      if (event.status !== "published" && event.status !== "ongoing") {
+        return res
+          .status(400)
+          .json({ error: "Event is not open for registration" });
+      }
+
+      if (new Date() > new Date(event.registrationDeadline)) {
+        return res
+          .status(400)
+          .json({ error: "Registration deadline has passed" });
+      }
+
+      if (event.isTeamEvent) {
+        return res.status(400).json({
+          error: "This is a team event. Create or join a team to register.",
+        });
+      }
+
+      // Eligibility Check
+      if (event.eligibility === "iiitans" && !req.user.isIIITian) {
+        return res
+          .status(403)
+          .json({ error: "This event is restricted to IIITians only" });
+      }
+      if (event.eligibility === "iiitans" && !req.user.isEmailVerified) {
+        return res.status(403).json({
+          error: "Please verify your IIIT email before registering for this event",
+        });
+      }
+      if (event.eligibility === "external" && req.user.isIIITian) {
+        return res
+          .status(403)
+          .json({ error: "This event is restricted to external participants only" });
+      }
+
+      // Quick capacity check; the seat itself is claimed atomically further down
+      if (
+        event.registrationLimit &&
+        getSeatsTaken(event) >= event.registrationLimit
+      ) {
+        if (event.eventType === "merchandise") {
+          return res.status(400).json({ error: "Event is full" });
+        }
+        return addToWaitlist(res, { userId, eventId, formData, teamName });
       }
 
-      // Merchandise specific checks
-      let variant = null;
+      // Merchandise specific checks: price the order and check stock per line item
+      let order = null;
       if (event.eventType === "merchandise") {
-        if (!merchandiseSelection || !merchandiseSelection.variantId) {
-          return res.status(400).json({ error: "Please select a variant" });
+        const built = buildMerchandiseOrder(
+          event,
+          merchandiseOrder || merchandiseSelection,
+        );
+        if (built.error) {
+          return res.status(400).json({ error: built.error });
         }
-        // Check stock
-        variant = event.merchandiseDetails.variants.find(
-          (v) => v.variantId === merchandiseSelection.variantId,
+        order = built.order;
+      }
+
+      // Price before discounts: the order total for merch, the current tier otherwise
+      let baseAmount =
+        event.eventType === "merchandise"
+          ? order.totalAmount
+          : previewPrice(event, req.user).price;
+
+      // Apply a discount code if one was given
+      let coupon = null;
+      let discountAmount = 0;
+      if (couponCode) {
+        const result = await validateCoupon(
+          couponCode,
+          event,
+          req.user,
+          baseAmount,
         );
-        if (!variant) return res.status(400).json({ error: "Invalid variant" });
-        if (variant.stockQuantity < (merchandiseSelection.quantity || 1)) {
-          return res.status(400).json({ error: "Out of stock" });
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
         }
+        coupon = result.coupon;
+        discountAmount = result.discountAmount;
       }
 
+      // Take one use of the coupon before committing anything else
+      if (coupon && !(await redeemCoupon(coupon))) {
+        return res
+          .status(400)
+          .json({ error: "This coupon has reached its usage limit" });
+      }
+
+      // Lock in the tier price (a quota may have filled since the preview)
+      let tier = null;
+      if (event.eventType === "normal") {
+        ({ tier, price: baseAmount } = await claimPrice(event, req.user));
+        if (coupon) discountAmount = computeDiscount(coupon, baseAmount);
+      }
+      const amountDue = baseAmount - discountAmount;
+
       // Determine payment status and approval workflow
       let paymentStatus = "free";
       let paymentApprovalStatus = "not_required";
@@ -868,9 +1481,8 @@ router.post(
       let registrationStatus = "registered";
 
       // For any paid event (merchandise with price OR normal event with registration fee)
-      const isPaidEvent =
-        (event.eventType === "merchandise" && variant && variant.price > 0) ||
-        (event.eventType === "normal" && event.registrationFee > 0);
+      // a coupon covering the full price makes it free
+      const isPaidEvent = amountDue > 0;
 
       if (isPaidEvent) {
         paymentStatus = "pending";
@@ -884,11 +1496,35 @@ router.post(
           registrationStatus = "pending_approval";
         }
       }
-      let ticketId = null;
+      // Left unset until a ticket is issued: the sparse ticketId index skips
+      // missing values but would still collide on explicit nulls
+      let ticketId;
       if (!isPaidEvent && registrationApprovalStatus === "not_required") {
         ticketId = uuidv4();
       }
 
+      // Take merchandise stock atomically: sold now if confirmed on the spot,
+      // otherwise reserved until payment/approval goes through
+      if (order) {
+        const confirmedNow = !!ticketId;
+        const stockTaken = confirmedNow
+          ? await sellOrderStock(event._id, order.items)
+          : await reserveOrderStock(event._id, order.items);
+        if (!stockTaken) {
+          if (coupon) await releaseCoupon(coupon._id);
+          return res.status(400).json({ error: "Out of stock" });
+        }
+        order.stockStatus = confirmedNow ? "sold" : "reserved";
+        order.fulfillmentStatus = "ordered";
+        if (isPaidEvent) {
+          const windowHours =
+            event.merchandiseDetails.reservationWindowHours || 24;
+          order.reservationExpiresAt = new Date(
+            Date.now() + windowHours * 60 * 60 * 1000,
+          );
+        }
+      }
+
       const registration = new Registration({
         userId,
         eventId,
@@ -898,13 +1534,48 @@ router.post(
         paymentApprovalStatus,
         registrationApprovalStatus,
         formData: event.eventType === "normal" ? formData : undefined,
-        merchandiseSelection:
-          event.eventType === "merchandise" ? merchandiseSelection : undefined,
+        merchandiseOrder: order || undefined,
+        amountDue,
+        discountAmount,
+        couponId: coupon ? coupon._id : undefined,
+        couponCode: coupon ? coupon.code : undefined,
+        priceTierId: tier ? tier._id : undefined,
+        priceTierName: tier ? tier.name : undefined,
         teamName,
         attendanceStatus: "not_checked",
       });
 
-      await registration.save();
+      // Claim the seat: confirmed now, or held until payment/approval goes through
+      const seatTaken = ticketId
+        ? await claimSeat(event, registration)
+        : await reserveSeat(event, registration);
+      if (!seatTaken) {
+        // Lost the race for the last seat
+        await releaseOrderStock(event, registration);
+        await releaseTierSlot(registration);
+        if (coupon) await releaseCoupon(coupon._id);
+        if (event.eventType === "merchandise") {
+          return res.status(400).json({ error: "Event is full" });
+        }
+        return addToWaitlist(res, { userId, eventId, formData, teamName });
+      }
+
+      try {
+        await registration.save();
+      } catch (saveError) {
+        // Give the seat, stock, tier slot and coupon use back if the registration could not be recorded
+        await releaseSeat(event, registration, false);
+        await releaseTierSlot(registration);
+        if (coupon) await releaseCoupon(coupon._id);
+        if (
+          saveError.code === 11000 &&
+          saveError.keyPattern?.userId &&
+          saveError.keyPattern?.eventId
+        ) {
+          return sendAlreadyRegistered(res, userId, eventId);
+        }
+        throw saveError;
+      }
       if (
         paymentApprovalStatus === "not_required" &&
         registrationApprovalStatus === "not_required"
@@ -935,7 +1606,7 @@ router.post(
             eventLocation: event.location,
             ticketId,
             qrCodeBuffer,
-            registrationFee: event.registrationFee || 0,
+            registrationFee: amountDue,
           });
           console.log(`Registration email sent to ${req.user.email}`);
         } catch (emailError) {
@@ -943,18 +1614,6 @@ router.post(
           // Don't fail the registration if email fails
         }
       }
-      if (
-        paymentApprovalStatus === "not_required" &&
-        registrationApprovalStatus === "not_required"
-      ) {
-        event.totalRegistrations += 1;
-        // For free merchandise, decrement stock immediately
-        if (event.eventType === "merchandise" && variant) {
-          variant.stockQuantity -= merchandiseSelection.quantity || 1;
-        }
-        await event.save();
-      }
-
       // For paid events requiring approval
       if (paymentApprovalStatus === "pending") {
         // Payment is pending
@@ -985,6 +1644,10 @@ router.post(
         requiresPaymentProof,
         requiresApproval,
         registrationId: registration._id,
+        merchandiseOrder: registration.merchandiseOrder,
+        amountDue,
+        discountAmount,
+        priceTier: tier ? tier.name : null,
       });
     } catch (error) {
       console.error("Registration error:", error);
@@ -993,58 +1656,324 @@ router.post(
   },
 );
 
-// POST /api/events/:id/upload-payment-proof - Upload payment proof image
+// POST /api/events/:id/cancel-registration - Cancel own registration (participant)
 router.post(
-  "/:id/upload-payment-proof",
+  "/:id/cancel-registration",
   authMiddleware,
   checkRole(["user"]),
-  paymentProofUpload.single("paymentProof"),
   async (req, res) => {
     try {
       const eventId = req.params.id;
       const userId = req.user._id;
+      const { reason } = req.body;
 
-      if (!req.file) {
-        return res
-          .status(400)
-          .json({ error: "Payment proof image is required" });
-      }
+      const event = await Event.findById(eventId);
+      if (!event) return res.status(404).json({ error: "Event not found" });
 
-      const registration = await Registration.findOne({ userId, eventId });
+      // The newest registration is the live one, older ones were cancelled
+      const registration = await Registration.findOne({ userId, eventId }).sort(
+        { createdAt: -1 },
+      );
       if (!registration) {
         return res.status(404).json({ error: "Registration not found" });
       }
 
-      if (registration.paymentApprovalStatus !== "pending") {
+      if (
+        registration.status === "cancelled" ||
+        registration.status === "rejected"
+      ) {
         return res
           .status(400)
-          .json({ error: "Payment proof not required or already submitted" });
+          .json({ error: `Registration is already ${registration.status}` });
+      }
+      if (registration.status === "attended") {
+        return res
+          .status(400)
+          .json({ error: "Cannot cancel - attendance already marked" });
+      }
+      if (registration.status === "team_pending") {
+        return res
+          .status(400)
+          .json({ error: "Team is still forming - leave the team instead" });
       }
 
-      // Save the file path
-      registration.paymentProofImage = `/uploads/payment-proofs/${req.file.filename}`;
+      // Check organizer's cancellation cutoff
+      const cutoffHours = event.cancellationCutoffHours ?? 24;
+      const cutoff = new Date(
+        new Date(event.eventStartDate).getTime() - cutoffHours * 60 * 60 * 1000,
+      );
+      if (new Date() > cutoff) {
+        return res.status(400).json({
+          error: `Cancellations close ${cutoffHours} hour(s) before the event starts`,
+          cutoff,
+        });
+      }
+
+      const hadSeat = holdsSeat(registration);
+
+      // Cancel and invalidate the QR ticket
+      registration.status = "cancelled";
+      registration.cancelledAt = new Date();
+      registration.cancellationReason = reason || "Cancelled by participant";
+      registration.qrCodeEncrypted = undefined;
+      registration.qrCodeIV = undefined;
+
+      // Add to audit log
+      registration.scanHistory.push({
+        timestamp: new Date(),
+        action: "cancelled",
+        notes: registration.cancellationReason,
+      });
+
+      // A proof or approval still under review must not revive the registration
+      rejectPendingApprovals(registration, registration.cancellationReason);
+
+      // Delete a pending payment proof if one was uploaded
+      if (registration.paymentProofImage) {
+        const filePath = path.join(
+          __dirname,
+          "..",
+          registration.paymentProofImage,
+        );
+        fs.unlink(filePath, (err) => {
+          if (err) console.error("Failed to delete payment proof:", err);
+        });
+        registration.paymentProofImage = null;
+      }
+
+      // Give back the seat and merchandise stock (or just the reservations)
+      await releaseSeat(event, registration, hadSeat);
+      await releaseTierSlot(registration);
+      await releaseRegistrationCoupon(registration);
+
       await registration.save();
+      await promoteFromWaitlist(event._id);
+
+      // Paid registrations get a refund opened for the organizer to review
+      let refund = null;
+      if (registration.paymentApprovalStatus === "approved") {
+        ({ refund } = await requestRefund(event, registration, {
+          reason: registration.cancellationReason,
+          source: "participant_cancellation",
+        }));
+      }
+
+      try {
+        await sendCancellationEmail({
+          to: req.user.email,
+          userName: `${req.user.firstName} ${req.user.lastName}`,
+          eventName: event.name,
+          eventDate: event.eventStartDate,
+          ticketId: registration.ticketId,
+          reason: reason,
+        });
+      } catch (emailError) {
+        console.error("Failed to send cancellation email:", emailError);
+      }
 
       res.json({
-        message: "Payment proof uploaded successfully. Awaiting approval.",
-        imagePath: registration.paymentProofImage,
+        message: "Registration cancelled successfully",
+        registration: {
+          _id: registration._id,
+          ticketId: registration.ticketId,
+          status: registration.status,
+          cancelledAt: registration.cancelledAt,
+        },
+        refund: refund
+          ? { _id: refund._id, amount: refund.amount, status: refund.status }
+          : null,
       });
     } catch (error) {
-      console.error("Payment proof upload error:", error);
-      res.status(500).json({ error: "Failed to upload payment proof" });
+      console.error("Registration cancellation error:", error);
+      res.status(500).json({ error: "Failed to cancel registration" });
     }
   },
 );
 
-// GET /api/events/:id/pending-payments - Get pending payment approvals (Organizer only)
-router.get(
-  "/:id/pending-payments",
+// POST /api/events/:id/claim-spot - Claim a seat offered from the waitlist
+router.post(
+  "/:id/claim-spot",
   authMiddleware,
-  checkRole(["club"]),
+  checkRole(["user"]),
   async (req, res) => {
     try {
-      const event = await Event.findById(req.params.id);
-      if (!event) {
+      const registration = await Registration.findOne({
+        userId: req.user._id,
+        eventId: req.params.id,
+      }).sort({ createdAt: -1 });
+      if (!registration || !registration.promotedAt) {
+        return res
+          .status(404)
+          .json({ error: "No waitlist offer found for this event" });
+      }
+
+      if (registration.claimedAt) {
+        return res.status(400).json({ error: "Spot already claimed" });
+      }
+
+      if (
+        registration.status === "cancelled" ||
+        new Date() > new Date(registration.claimDeadline)
+      ) {
+        return res.status(400).json({ error: "Claim window has expired" });
+      }
+
+      registration.claimedAt = new Date();
+      await registration.save();
+
+      res.json({
+        message: "Spot claimed successfully",
+        registration: {
+          _id: registration._id,
+          ticketId: registration.ticketId,
+          status: registration.status,
+          requiresPaymentProof: registration.paymentApprovalStatus === "pending",
+        },
+      });
+    } catch (error) {
+      console.error("Waitlist claim error:", error);
+      res.status(500).json({ error: "Failed to claim spot" });
+    }
+  },
+);
+
+// GET /api/events/:id/waitlist - Get ordered waitlist (Organizer only)
+router.get(
+  "/:id/waitlist",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const waitlist = await Registration.find({
+        eventId: req.params.id,
+        status: "waitlisted",
+      })
+        .populate("userId", "firstName lastName email collegeName")
+        .sort({ waitlistedAt: 1 });
+
+      // Promotions still inside their claim window
+      const pendingClaims = await Registration.find({
+        eventId: req.params.id,
+        promotedAt: { $ne: null },
+        claimedAt: null,
+        status: { $in: ["registered", "pending_approval"] },
+      }).populate("userId", "firstName lastName email");
+
+      res.json({
+        waitlist: waitlist.map((r, index) => ({
+          _id: r._id,
+          position: index + 1,
+          user: r.userId,
+          waitlistedAt: r.waitlistedAt,
+        })),
+        pendingClaims: pendingClaims.map((r) => ({
+          _id: r._id,
+          user: r.userId,
+          promotedAt: r.promotedAt,
+          claimDeadline: r.claimDeadline,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+      res.status(500).json({ error: "Failed to fetch waitlist" });
+    }
+  },
+);
+
+// POST /api/events/:id/upload-payment-proof - Upload payment proof image
+router.post(
+  "/:id/upload-payment-proof",
+  authMiddleware,
+  checkRole(["user"]),
+  paymentProofUpload.single("paymentProof"),
+  async (req, res) => {
+    try {
+      const eventId = req.params.id;
+      const userId = req.user._id;
+
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ error: "Payment proof image is required" });
+      }
+
+      // Cancelled and rejected registrations can't be paid for any more
+      const registration = await Registration.findOne({
+        userId,
+        eventId,
+        status: { $nin: CLOSED_STATUSES },
+      });
+      if (!registration) {
+        return res.status(404).json({ error: "Registration not found" });
+      }
+
+      if (registration.paymentApprovalStatus !== "pending") {
+        return res
+          .status(400)
+          .json({ error: "Payment proof not required or already submitted" });
+      }
+
+      // Optional UTR so the organizer can reconcile against the bank statement
+      const transactionReference = normalizeReference(
+        req.body.transactionReference,
+      );
+      if (
+        req.body.transactionReference &&
+        !/^[A-Z0-9]{6,30}$/.test(transactionReference)
+      ) {
+        return res.status(400).json({
+          error: "Transaction reference must be 6-30 letters or digits",
+        });
+      }
+
+      // Save the file path
+      registration.paymentProofImage = `/uploads/payment-proofs/${req.file.filename}`;
+      if (transactionReference) {
+        registration.transactionReference = transactionReference;
+      }
+
+      // Fingerprint the image so re-used screenshots can be flagged to the organizer
+      const { contentHash, perceptualHash, hashBands } = await fingerprintProof(
+        req.file.path,
+      );
+      registration.proofContentHash = contentHash;
+      registration.proofPerceptualHash = perceptualHash;
+      registration.proofHashBands = hashBands;
+      // Uploading proof claims a seat offered from the waitlist
+      if (registration.promotedAt && !registration.claimedAt) {
+        registration.claimedAt = new Date();
+      }
+      await registration.save();
+
+      res.json({
+        message: "Payment proof uploaded successfully. Awaiting approval.",
+        imagePath: registration.paymentProofImage,
+      });
+    } catch (error) {
+      console.error("Payment proof upload error:", error);
+      res.status(500).json({ error: "Failed to upload payment proof" });
+    }
+  },
+);
+
+// GET /api/events/:id/pending-payments - Get pending payment approvals (Organizer only)
+router.get(
+  "/:id/pending-payments",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
         return res.status(404).json({ error: "Event not found" });
       }
 
@@ -1054,6 +1983,7 @@ router.get(
 
       const pendingPayments = await Registration.find({
         eventId: req.params.id,
+        status: { $nin: CLOSED_STATUSES },
         paymentApprovalStatus: { $in: ["pending"] },
       })
         .populate("userId", "firstName lastName email collegeName")
@@ -1068,15 +1998,33 @@ router.get(
         .sort({ paymentApprovalDate: -1 })
         .limit(20);
 
+      // Same/similar screenshots and re-used UTRs, other clubs' matches only counted
+      const duplicates = await findDuplicateProofs(
+        pendingPayments,
+        req.user._id,
+      );
+
       res.json({
-        pending: pendingPayments.map((p) => ({
-          _id: p._id,
-          ticketId: p.ticketId,
-          user: p.userId,
-          merchandiseSelection: p.merchandiseSelection,
-          paymentProofImage: p.paymentProofImage,
-          createdAt: p.createdAt,
-        })),
+        pending: pendingPayments.map((p) => {
+          const flags = duplicates[p._id.toString()];
+          return {
+            _id: p._id,
+            ticketId: p.ticketId,
+            user: p.userId,
+            merchandiseSelection: p.merchandiseSelection,
+            orderItems: getOrderItems(p),
+            amount: getRegistrationAmount(event, p),
+            transactionReference: p.transactionReference,
+            paymentProofImage: p.paymentProofImage,
+            duplicates: flags,
+            isSuspicious:
+              flags.sameImage.length > 0 ||
+              flags.similarImage.length > 0 ||
+              flags.sameReference.length > 0 ||
+              Object.values(flags.otherClubs).some((count) => count > 0),
+            createdAt: p.createdAt,
+          };
+        }),
         recentlyProcessed: recentlyProcessed.map((p) => ({
           _id: p._id,
           ticketId: p.ticketId,
@@ -1087,22 +2035,359 @@ router.get(
         })),
       });
     } catch (error) {
-      console.error("Error fetching pending payments:", error);
-      res.status(500).json({ error: "Failed to fetch pending payments" });
+      console.error("Error fetching pending payments:", error);
+      res.status(500).json({ error: "Failed to fetch pending payments" });
+    }
+  },
+);
+
+// GET /api/events/:id/inventory - Reserved, sold and available stock per variant (Organizer only)
+router.get(
+  "/:id/inventory",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (event.eventType !== "merchandise") {
+        return res
+          .status(400)
+          .json({ error: "Inventory is only tracked for merchandise events" });
+      }
+
+      const reservations = await Registration.find({
+        eventId: event._id,
+        "merchandiseOrder.stockStatus": "reserved",
+      })
+        .populate("userId", "firstName lastName email")
+        .sort({ "merchandiseOrder.reservationExpiresAt": 1 });
+
+      res.json({
+        reservationWindowHours: event.merchandiseDetails.reservationWindowHours,
+        variants: event.merchandiseDetails.variants.map((v) => ({
+          variantId: v.variantId,
+          size: v.size,
+          color: v.color,
+          price: v.price,
+          available: v.stockQuantity,
+          reserved: v.reservedQuantity || 0,
+          sold: v.soldQuantity || 0,
+        })),
+        reservations: reservations.map((r) => ({
+          _id: r._id,
+          user: r.userId,
+          items: r.merchandiseOrder.items,
+          totalAmount: r.merchandiseOrder.totalAmount,
+          hasPaymentProof: !!r.paymentProofImage,
+          expiresAt: r.merchandiseOrder.reservationExpiresAt,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching inventory:", error);
+      res.status(500).json({ error: "Failed to fetch inventory" });
+    }
+  },
+);
+
+// PATCH /api/events/:eventId/fulfillment/:registrationId - Mark an order ready for pickup or shipped (Organizer only)
+router.patch(
+  "/:eventId/fulfillment/:registrationId",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { eventId, registrationId } = req.params;
+      const { status, carrier, trackingNumber } = req.body;
+
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (event.eventType !== "merchandise") {
+        return res.status(400).json({
+          error: "Fulfillment is only tracked for merchandise events",
+        });
+      }
+
+      const registration = await Registration.findOne({
+        ...confirmedOrderFilter(eventId),
+        _id: registrationId,
+      });
+      if (!registration) {
+        return res
+          .status(404)
+          .json({ error: "No confirmed order found for this registration" });
+      }
+
+      if (
+        status === "shipped" &&
+        !trackingNumber &&
+        !registration.merchandiseOrder?.trackingNumber
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Tracking number is required for shipped orders" });
+      }
+
+      const result = await setFulfillmentStatus(event, registration, {
+        status,
+        carrier,
+        trackingNumber,
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      await registration.save();
+
+      res.json({
+        message: "Fulfillment status updated",
+        registrationId: registration._id,
+        fulfillment: registration.merchandiseOrder,
+      });
+    } catch (error) {
+      console.error("Fulfillment update error:", error);
+      res.status(500).json({ error: "Failed to update fulfillment status" });
+    }
+  },
+);
+
+// POST /api/events/:eventId/fulfillment/mark-ready - Mark many orders ready for pickup (Organizer only)
+// without registrationIds every confirmed order still marked "ordered" is included
+router.post(
+  "/:eventId/fulfillment/mark-ready",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { eventId } = req.params;
+      const { registrationIds } = req.body;
+
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (event.eventType !== "merchandise") {
+        return res.status(400).json({
+          error: "Fulfillment is only tracked for merchandise events",
+        });
+      }
+
+      if (registrationIds !== undefined && !Array.isArray(registrationIds)) {
+        return res
+          .status(400)
+          .json({ error: "registrationIds must be an array" });
+      }
+
+      const filter = {
+        ...confirmedOrderFilter(eventId),
+        "merchandiseOrder.fulfillmentStatus": { $in: ["ordered", null] },
+      };
+      if (registrationIds) {
+        filter._id = { $in: registrationIds };
+      }
+      const registrations = await Registration.find(filter);
+
+      for (const registration of registrations) {
+        await setFulfillmentStatus(event, registration, {
+          status: "ready_for_pickup",
+        });
+        await registration.save();
+      }
+
+      res.json({
+        message: `${registrations.length} order(s) marked ready for pickup`,
+        updated: registrations.map((r) => r._id),
+      });
+    } catch (error) {
+      console.error("Bulk mark-ready error:", error);
+      res.status(500).json({ error: "Failed to mark orders ready" });
+    }
+  },
+);
+
+// GET /api/events/:id/vendor-export - Quantities per size and colour for the vendor (Organizer only)
+// CSV by default, ?format=json for the dashboard
+router.get(
+  "/:id/vendor-export",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      if (event.eventType !== "merchandise") {
+        return res.status(400).json({
+          error: "Vendor export is only available for merchandise events",
+        });
+      }
+
+      const registrations = await Registration.find(
+        confirmedOrderFilter(event._id),
+      );
+      const sheet = getVendorSheet(event, registrations);
+      const totals = sheet.reduce(
+        (sum, row) => ({
+          quantity: sum.quantity + row.quantity,
+          toHandOver: sum.toHandOver + row.toHandOver,
+          pickedUp: sum.pickedUp + row.pickedUp,
+          shipped: sum.shipped + row.shipped,
+        }),
+        { quantity: 0, toHandOver: 0, pickedUp: 0, shipped: 0 },
+      );
+
+      if (req.query.format === "json") {
+        return res.json({
+          variants: sheet,
+          totals,
+          orders: registrations.length,
+        });
+      }
+
+      const headers = [
+        "Size",
+        "Colour",
+        "Variant ID",
+        "Quantity",
+        "Orders",
+        "To Hand Over",
+        "Picked Up",
+        "Shipped",
+      ];
+      const rows = sheet.map((row) => [
+        row.size || "-",
+        row.color || "-",
+        row.variantId,
+        row.quantity,
+        row.orders,
+        row.toHandOver,
+        row.pickedUp,
+        row.shipped,
+      ]);
+      rows.push([
+        "Total",
+        "",
+        "",
+        totals.quantity,
+        registrations.length,
+        totals.toHandOver,
+        totals.pickedUp,
+        totals.shipped,
+      ]);
+
+      const csvContent = [
+        headers.join(","),
+        ...rows.map((row) =>
+          row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(","),
+        ),
+      ].join("\n");
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${event.name}_vendor_order.csv"`,
+      );
+      res.send(csvContent);
+    } catch (error) {
+      console.error("Vendor export error:", error);
+      res.status(500).json({ error: "Failed to export vendor order" });
+    }
+  },
+);
+
+// POST /api/events/:eventId/approve-payment/:registrationId - Approve payment
+router.post(
+  "/:eventId/approve-payment/:registrationId",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { eventId, registrationId } = req.params;
+
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const registration = await Registration.findById(registrationId);
+      if (!registration || registration.eventId.toString() !== eventId) {
+        return res.status(404).json({ error: "Registration not found" });
+      }
+
+      if (CLOSED_STATUSES.includes(registration.status)) {
+        return res
+          .status(400)
+          .json({ error: `Registration is ${registration.status}` });
+      }
+
+      if (registration.paymentApprovalStatus !== "pending") {
+        return res.status(400).json({ error: "Payment already processed" });
+      }
+
+      if (!registration.paymentProofImage) {
+        return res.status(400).json({ error: "No payment proof uploaded yet" });
+      }
+
+      const approval = await approvePayment(event, registration, {
+        approvedBy: req.user._id,
+        method: "manual",
+      });
+      if (!approval) {
+        return res.status(409).json({ error: "Payment already processed" });
+      }
+
+      res.json({
+        message: "Payment approved successfully",
+        registration: {
+          _id: registration._id,
+          ticketId: registration.ticketId,
+          status: registration.paymentApprovalStatus,
+        },
+      });
+    } catch (error) {
+      console.error("Payment approval error:", error);
+      res.status(500).json({ error: "Failed to approve payment" });
     }
   },
 );
 
-// POST /api/events/:eventId/approve-payment/:registrationId - Approve payment
+// POST /api/events/:id/reconcile-payments - Match a bank statement CSV against pending payments (Organizer only)
 router.post(
-  "/:eventId/approve-payment/:registrationId",
+  "/:id/reconcile-payments",
   authMiddleware,
   checkRole(["club"]),
+  statementUpload.single("statement"),
   async (req, res) => {
     try {
-      const { eventId, registrationId } = req.params;
-
-      const event = await Event.findById(eventId);
+      const event = await Event.findById(req.params.id);
       if (!event) {
         return res.status(404).json({ error: "Event not found" });
       }
@@ -1111,128 +2396,122 @@ router.post(
         return res.status(403).json({ error: "Unauthorized access" });
       }
 
-      const registration = await Registration.findById(registrationId);
-      if (!registration || registration.eventId.toString() !== eventId) {
-        return res.status(404).json({ error: "Registration not found" });
+      if (!req.file) {
+        return res.status(400).json({ error: "Bank statement CSV is required" });
       }
 
-      if (registration.paymentApprovalStatus !== "pending") {
-        return res.status(400).json({ error: "Payment already processed" });
+      const { entries, error } = parseStatement(req.file.buffer);
+      if (error) {
+        return res.status(400).json({ error });
       }
 
-      if (!registration.paymentProofImage) {
-        return res.status(400).json({ error: "No payment proof uploaded yet" });
-      }
+      const pending = await Registration.find({
+        eventId: event._id,
+        status: { $nin: CLOSED_STATUSES },
+        paymentApprovalStatus: "pending",
+      }).populate("userId", "firstName lastName email");
 
-      // Approve the payment
-      registration.paymentApprovalStatus = "approved";
-      registration.paymentApprovalDate = new Date();
-      registration.paymentApprovedBy = req.user._id;
-      registration.paymentStatus = "completed";
+      const result = matchStatement(entries, pending, event);
 
-      // Delete the payment proof image
-      if (registration.paymentProofImage) {
-        const filePath = path.join(
-          __dirname,
-          "..",
-          registration.paymentProofImage,
-        );
-        fs.unlink(filePath, (err) => {
-          if (err) console.error("Failed to delete payment proof:", err);
-        });
-        registration.paymentProofImage = null;
-      }
+      res.json({
+        statementRows: entries.length,
+        ...result,
+      });
+    } catch (error) {
+      console.error("Payment reconciliation error:", error);
+      res.status(500).json({ error: "Failed to reconcile payments" });
+    }
+  },
+);
 
-      if (registration.registrationApprovalStatus !== "pending") {
-        registration.status = "registered";
-      }
+// POST /api/events/:id/bulk-approve-payments - Approve several matched payments at once (Organizer only)
+router.post(
+  "/:id/bulk-approve-payments",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { registrationIds } = req.body;
 
-      // Generate ticket ID now for paid events (if not already generated)
-      if (!registration.ticketId) {
-        registration.ticketId = uuidv4();
+      if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "registrationIds must be a non-empty array" });
+      }
+      if (registrationIds.length > 200) {
+        return res
+          .status(400)
+          .json({ error: "Approve at most 200 payments at a time" });
       }
 
-      // Populate user data for email
-      await registration.populate("userId", "firstName lastName email");
-
-      // Generate encrypted QR code now that payment is approved
-      const { qrCodeBuffer, encryptedData, iv } = await generateEncryptedQRCode(
-        {
-          ticketId: registration.ticketId,
-          userId: registration.userId._id.toString(),
-          eventId: eventId.toString(),
-          eventName: event.name,
-          userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
-          registrationDate: registration.registrationDate,
-        },
-      );
-
-      // Save encrypted QR data to registration
-      registration.qrCodeEncrypted = encryptedData;
-      registration.qrCodeIV = iv;
-      await registration.save();
-
-      // Calculate the amount paid
-      let paidAmount = event.registrationFee || 0;
-      if (
-        registration.merchandiseSelection &&
-        registration.merchandiseSelection.variantId
-      ) {
-        const variant = event.merchandiseDetails.variants.find(
-          (v) => v.variantId === registration.merchandiseSelection.variantId,
-        );
-        if (variant) {
-          paidAmount =
-            variant.price * (registration.merchandiseSelection.quantity || 1);
-        }
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
       }
 
-      // Send confirmation email with QR code
-      try {
-        await sendRegistrationEmail({
-          to: registration.userId.email,
-          userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
-          eventName: event.name,
-          eventDate: event.eventStartDate,
-          eventLocation: event.location,
-          ticketId: registration.ticketId,
-          qrCodeBuffer,
-          registrationFee: paidAmount,
-        });
-        console.log(
-          `Payment approved confirmation email sent to ${registration.userId.email}`,
-        );
-      } catch (emailError) {
-        console.error("Failed to send payment approval email:", emailError);
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
       }
 
-      // Now decrement stock and update event stats
-      if (
-        registration.merchandiseSelection &&
-        registration.merchandiseSelection.variantId
-      ) {
-        const variant = event.merchandiseDetails.variants.find(
-          (v) => v.variantId === registration.merchandiseSelection.variantId,
-        );
-        if (variant) {
-          variant.stockQuantity -=
-            registration.merchandiseSelection.quantity || 1;
+      const approved = [];
+      const failed = [];
+      // Same checks as a single approval, one registration at a time
+      for (const registrationId of registrationIds) {
+        if (!mongoose.isValidObjectId(registrationId)) {
+          failed.push({ registrationId, error: "Invalid registration id" });
+          continue;
+        }
+        const registration = await Registration.findById(registrationId);
+        if (
+          !registration ||
+          registration.eventId.toString() !== event._id.toString()
+        ) {
+          failed.push({ registrationId, error: "Registration not found" });
+          continue;
+        }
+        if (CLOSED_STATUSES.includes(registration.status)) {
+          failed.push({
+            registrationId,
+            error: `Registration is ${registration.status}`,
+          });
+          continue;
+        }
+        if (registration.paymentApprovalStatus !== "pending") {
+          failed.push({ registrationId, error: "Payment already processed" });
+          continue;
+        }
+        if (!registration.paymentProofImage) {
+          failed.push({ registrationId, error: "No payment proof uploaded yet" });
+          continue;
+        }
+
+        try {
+          const approval = await approvePayment(event, registration, {
+            approvedBy: req.user._id,
+            method: "manual",
+          });
+          if (!approval) {
+            failed.push({ registrationId, error: "Payment already processed" });
+            continue;
+          }
+          approved.push({
+            registrationId: registration._id,
+            ticketId: registration.ticketId,
+          });
+        } catch (approvalError) {
+          console.error("Bulk payment approval error:", approvalError);
+          failed.push({ registrationId, error: "Failed to approve payment" });
         }
       }
-      event.totalRegistrations += 1;
-      await event.save();
 
       res.json({
-        message: "Payment approved successfully",
-        registration: {
-          _id: registration._id,
-          ticketId: registration.ticketId,
-          status: registration.paymentApprovalStatus,
-        },
+        message: `${approved.length} payment(s) approved`,
+        approved,
+        failed,
       });
     } catch (error) {
-      console.error("Payment approval error:", error);
-      res.status(500).json({ error: "Failed to approve payment" });
+      console.error("Bulk payment approval error:", error);
+      res.status(500).json({ error: "Failed to approve payments" });
     }
   },
 );
@@ -1285,7 +2564,20 @@ router.post(
         registration.paymentProofImage = null;
       }
 
+      // Rejected payments give their reserved seat, stock, tier slot and coupon use back
+      await releaseSeat(event, registration);
+      await releaseTierSlot(registration);
+      await releaseRegistrationCoupon(registration);
+
       await registration.save();
+      await promoteFromWaitlist(event._id);
+
+      await notifyUser(registration.userId, {
+        type: "payment_rejected",
+        title: `Payment rejected for ${event.name}`,
+        message: registration.paymentRejectionReason,
+        eventId: event._id,
+      });
 
       res.json({
         message: "Payment rejected",
@@ -1320,6 +2612,7 @@ router.get(
 
       const pendingRegistrations = await Registration.find({
         eventId: req.params.id,
+        status: { $nin: CLOSED_STATUSES },
         registrationApprovalStatus: "pending",
       })
         .populate(
@@ -1344,6 +2637,7 @@ router.get(
           user: r.userId,
           formData: r.formData,
           merchandiseSelection: r.merchandiseSelection,
+          orderItems: getOrderItems(r),
           teamName: r.teamName,
           paymentStatus: r.paymentStatus,
           createdAt: r.createdAt,
@@ -1387,22 +2681,51 @@ router.post(
         return res.status(404).json({ error: "Registration not found" });
       }
 
+      if (CLOSED_STATUSES.includes(registration.status)) {
+        return res
+          .status(400)
+          .json({ error: `Registration is ${registration.status}` });
+      }
+
       if (registration.registrationApprovalStatus !== "pending") {
         return res
           .status(400)
           .json({ error: "Registration already processed" });
       }
 
-      // Approve the registration
-      registration.registrationApprovalStatus = "approved";
-      registration.status = "registered";
-      registration.registrationApprovalDate = new Date();
-      registration.registrationApprovedBy = req.user._id;
+      // Approve the registration, claimed atomically so a cancellation made
+      // in the meantime is not overwritten
+      const approval = {
+        registrationApprovalStatus: "approved",
+        status: "registered",
+        registrationApprovalDate: new Date(),
+        registrationApprovedBy: req.user._id,
+      };
+      const claimed = await Registration.findOneAndUpdate(
+        {
+          _id: registration._id,
+          registrationApprovalStatus: "pending",
+          status: { $nin: CLOSED_STATUSES },
+        },
+        { $set: approval },
+      );
+      if (!claimed) {
+        return res
+          .status(409)
+          .json({ error: "Registration already processed" });
+      }
+      registration.set(approval);
 
       if (!registration.ticketId) {
         registration.ticketId = uuidv4();
       }
 
+      // Free registrations take their seat (and merchandise) once approved
+      if (registration.paymentApprovalStatus === "not_required") {
+        await confirmSeat(event, registration);
+        await commitOrderStock(event, registration);
+      }
+
       // Populate user data for email
       await registration.populate("userId", "firstName lastName email");
       if (
@@ -1435,7 +2758,9 @@ router.post(
             eventLocation: event.location,
             ticketId: registration.ticketId,
             qrCodeBuffer,
-            registrationFee: event.registrationFee || 0,
+            registrationFee:
+              registration.amountPaid ??
+              getRegistrationAmount(event, registration),
           });
           console.log(
             `Registration approved email sent to ${registration.userId.email}`,
@@ -1446,16 +2771,20 @@ router.post(
             emailError,
           );
         }
-
-        // Update event stats if payment is not required
-        if (registration.paymentApprovalStatus === "not_required") {
-          event.totalRegistrations += 1;
-          await event.save();
-        }
       } else {
         await registration.save();
       }
 
+      await notifyUser(registration.userId._id, {
+        type: "registration_approved",
+        title: `Registration approved for ${event.name}`,
+        message:
+          registration.paymentApprovalStatus === "pending"
+            ? "Your payment is still awaiting verification"
+            : `Your ticket ID is ${registration.ticketId}`,
+        eventId: event._id,
+      });
+
       res.json({
         message: "Registration approved successfully",
         registration: {
@@ -1501,6 +2830,8 @@ router.post(
           .json({ error: "Registration already processed" });
       }
 
+      const hadSeat = holdsSeat(registration);
+
       // Reject the registration
       registration.registrationApprovalStatus = "rejected";
       registration.status = "rejected";
@@ -1508,7 +2839,26 @@ router.post(
       registration.registrationApprovedBy = req.user._id;
       registration.registrationRejectionReason =
         reason || "Registration rejected by organizer";
+      await releaseSeat(event, registration, hadSeat);
+      await releaseTierSlot(registration);
+      await releaseRegistrationCoupon(registration);
       await registration.save();
+      await promoteFromWaitlist(event._id);
+
+      // Payment may already have been approved before the registration was reviewed
+      if (registration.paymentApprovalStatus === "approved") {
+        await requestRefund(event, registration, {
+          reason: registration.registrationRejectionReason,
+          source: "registration_rejected",
+        });
+      }
+
+      await notifyUser(registration.userId, {
+        type: "registration_rejected",
+        title: `Registration rejected for ${event.name}`,
+        message: registration.registrationRejectionReason,
+        eventId: event._id,
+      });
 
       res.json({
         message: "Registration rejected",
@@ -1563,6 +2913,9 @@ router.get(
           .status(400)
           .json({ error: "QR not available - payment was rejected" });
       }
+      if (!registration.ticketId || registration.status === "cancelled") {
+        return res.status(400).json({ error: "QR not available - no active ticket" });
+      }
 
       // Generate QR code data
       const qrData = JSON.stringify({
@@ -1596,7 +2949,50 @@ router.get(
   },
 );
 
-// POST /api/events/:eventId/scan-ticket - Scan QR and mark attendance
+// Helper to compute attendance counts from confirmed registrations
+function computeAttendanceStats(registrations) {
+  const present = registrations.filter((r) => r.attendanceStatus === "present");
+  const notChecked = registrations.filter(
+    (r) => r.attendanceStatus === "not_checked",
+  );
+  const absent = registrations.filter((r) => r.attendanceStatus === "absent");
+  return {
+    totalRegistered: registrations.length,
+    present: present.length,
+    notYetScanned: notChecked.length,
+    absent: absent.length,
+    attendanceRate:
+      registrations.length > 0
+        ? ((present.length / registrations.length) * 100).toFixed(1)
+        : 0,
+  };
+}
+
+// Helper to push fresh counts and the latest scan to every dashboard of the event
+async function broadcastAttendanceUpdate(eventId, scan) {
+  try {
+    const registrations = await Registration.find(
+      {
+        eventId,
+        status: { $in: ["registered", "attended"] },
+        $or: [
+          { paymentApprovalStatus: "not_required" },
+          { paymentApprovalStatus: "approved" },
+        ],
+      },
+      "attendanceStatus",
+    );
+    emitToAttendance(eventId, "attendance:update", {
+      eventId,
+      stats: computeAttendanceStats(registrations),
+      scan,
+    });
+  } catch (error) {
+    console.error("Attendance broadcast error:", error);
+  }
+}
+
+// POST /api/events/:eventId/scan-ticket - Scan QR and mark attendance (or hand over merchandise)
 router.post(
   "/:eventId/scan-ticket",
   authMiddleware,
@@ -1604,7 +3000,7 @@ router.post(
   async (req, res) => {
     try {
       const { eventId } = req.params;
-      const { ticketId, qrData } = req.body;
+      const { ticketId, qrData, mode } = req.body;
 
       const event = await Event.findById(eventId);
       if (!event) {
@@ -1615,14 +3011,60 @@ router.post(
         return res.status(403).json({ error: "Unauthorized access" });
       }
 
+      // Merchandise is collected at a stall rather than attended, so its
+      // tickets are always scanned in fulfillment mode
+      if (mode === "fulfillment" && event.eventType !== "merchandise") {
+        return res.status(400).json({
+          error: "Fulfillment scans are only available for merchandise events",
+        });
+      }
+      const isFulfillmentScan = event.eventType === "merchandise";
+      const blocked = isFulfillmentScan
+        ? "Cannot hand over order"
+        : "Cannot mark attendance";
+
+      // Stalls can hand out orders before, during and after the event
+      if (isFulfillmentScan && event.status === "draft") {
+        return res.status(400).json({
+          error: "Cannot hand over orders for an unpublished event",
+          currentStatus: event.status,
+        });
+      }
+
       // Check if event is ongoing
-      if (event.status !== "ongoing") {
+      if (!isFulfillmentScan && event.status !== "ongoing") {
         return res.status(400).json({
           error: `Cannot mark attendance - Event is ${event.status}. Event must be marked as "ongoing" to scan tickets.`,
           currentStatus: event.status,
         });
       }
 
+      // Rejected scans are logged on the ticket and pushed to every dashboard
+      const rejectScan = async (code, body, registration = null) => {
+        let entry = null;
+        if (registration) {
+          entry = {
+            timestamp: new Date(),
+            action: "scan_rejected",
+            performedBy: req.user._id,
+            notes: body.error,
+          };
+          registration.scanHistory.push(entry);
+          await registration.save();
+        }
+        await broadcastAttendanceUpdate(eventId, {
+          result: "rejected",
+          error: body.error,
+          registrationId: registration?._id,
+          ticketId: registration?.ticketId,
+          participantName: registration
+            ? `${registration.userId.firstName} ${registration.userId.lastName}`
+            : null,
+          entry,
+        });
+        return res.status(code).json(body);
+      };
+
       // Parse QR data if provided
       let parsedQR = null;
       let decryptedTicketId = null;
@@ -1659,9 +3101,7 @@ router.post(
           }
         } catch (e) {
           console.error("QR Decryption error:", e);
-          return res
-            .status(400)
-            .json({ error: "Invalid or corrupted QR code" });
+          return rejectScan(400, { error: "Invalid or corrupted QR code" });
         }
       }
 
@@ -1677,58 +3117,140 @@ router.post(
       }).populate("userId", "firstName lastName email collegeName");
 
       if (!registration) {
-        return res
-          .status(404)
-          .json({ error: "Ticket not found for this event" });
+        return rejectScan(404, { error: "Ticket not found for this event" });
       }
 
       // Check if registration status is valid for attendance
       if (registration.status === "cancelled") {
-        return res.status(400).json({
-          error: "Cannot mark attendance - registration is cancelled",
-        });
+        return rejectScan(
+          400,
+          { error: `${blocked} - registration is cancelled` },
+          registration,
+        );
       }
       if (registration.status === "rejected") {
-        return res.status(400).json({
-          error: "Cannot mark attendance - registration was rejected",
-        });
+        return rejectScan(
+          400,
+          { error: `${blocked} - registration was rejected` },
+          registration,
+        );
       }
       if (registration.status === "pending_approval") {
-        return res.status(400).json({
-          error: "Cannot mark attendance - registration approval pending",
-        });
+        return rejectScan(
+          400,
+          { error: `${blocked} - registration approval pending` },
+          registration,
+        );
       }
       if (
         registration.status !== "registered" &&
         registration.status !== "attended"
       ) {
-        return res.status(400).json({
-          error: `Cannot mark attendance - invalid registration status: ${registration.status}`,
-        });
+        return rejectScan(
+          400,
+          {
+            error: `${blocked} - invalid registration status: ${registration.status}`,
+          },
+          registration,
+        );
       }
 
       // Check if registration approval is complete
       if (registration.registrationApprovalStatus === "pending") {
-        return res.status(400).json({
-          error: "Cannot mark attendance - registration approval pending",
-        });
+        return rejectScan(
+          400,
+          { error: `${blocked} - registration approval pending` },
+          registration,
+        );
       }
       if (registration.registrationApprovalStatus === "rejected") {
-        return res.status(400).json({
-          error: "Cannot mark attendance - registration was rejected",
-        });
+        return rejectScan(
+          400,
+          { error: `${blocked} - registration was rejected` },
+          registration,
+        );
       }
 
       // Check if payment is approved for paid events
       if (registration.paymentApprovalStatus === "pending") {
-        return res
-          .status(400)
-          .json({ error: "Cannot mark attendance - payment approval pending" });
+        return rejectScan(
+          400,
+          { error: `${blocked} - payment approval pending` },
+          registration,
+        );
       }
       if (registration.paymentApprovalStatus === "rejected") {
-        return res
-          .status(400)
-          .json({ error: "Cannot mark attendance - payment was rejected" });
+        return rejectScan(
+          400,
+          { error: `${blocked} - payment was rejected` },
+          registration,
+        );
+      }
+
+      if (isFulfillmentScan) {
+        const participant = {
+          name: `${registration.userId.firstName} ${registration.userId.lastName}`,
+          email: registration.userId.email,
+          collegeName: registration.userId.collegeName,
+          ticketId: registration.ticketId,
+        };
+
+        if (getFulfillmentStatus(registration) === "shipped") {
+          return rejectScan(
+            400,
+            { error: `${blocked} - order was shipped` },
+            registration,
+          );
+        }
+
+        const pickedUp =
+          getFulfillmentStatus(registration) === "picked_up"
+            ? null
+            : await confirmPickup(registration._id, req.user._id);
+
+        if (!pickedUp) {
+          // Already handed over (possibly by another scanner just now)
+          const latest = await Registration.findById(registration._id);
+          latest.scanHistory.push({
+            timestamp: new Date(),
+            action: "duplicate_rejected",
+            performedBy: req.user._id,
+            notes: "Order already picked up",
+          });
+          await latest.save();
+
+          await broadcastAttendanceUpdate(eventId, {
+            result: "duplicate",
+            registrationId: latest._id,
+            ticketId: latest.ticketId,
+            participantName: participant.name,
+            entry: latest.scanHistory[latest.scanHistory.length - 1],
+          });
+
+          return res.status(409).json({
+            error: "Duplicate scan - Order already picked up",
+            alreadyPickedUpAt: latest.merchandiseOrder?.pickedUpAt,
+            participant,
+          });
+        }
+
+        await broadcastAttendanceUpdate(eventId, {
+          result: "picked_up",
+          registrationId: pickedUp._id,
+          ticketId: pickedUp.ticketId,
+          participantName: participant.name,
+          entry: pickedUp.scanHistory[pickedUp.scanHistory.length - 1],
+        });
+
+        return res.json({
+          success: true,
+          message: "Order handed over successfully",
+          participant: {
+            ...participant,
+            pickedUpAt: pickedUp.merchandiseOrder.pickedUpAt,
+          },
+          items: getOrderItems(pickedUp),
+        });
       }
 
       // Check for duplicate scan
@@ -1742,6 +3264,14 @@ router.post(
         });
         await registration.save();
 
+        await broadcastAttendanceUpdate(eventId, {
+          result: "duplicate",
+          registrationId: registration._id,
+          ticketId: registration.ticketId,
+          participantName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+          entry: registration.scanHistory[registration.scanHistory.length - 1],
+        });
+
         return res.status(409).json({
           error: "Duplicate scan - Attendance already marked",
           alreadyMarkedAt: registration.attendanceTimestamp,
@@ -1771,6 +3301,14 @@ router.post(
       event.totalAttendance += 1;
       await event.save();
 
+      await broadcastAttendanceUpdate(eventId, {
+        result: "scanned",
+        registrationId: registration._id,
+        ticketId: registration.ticketId,
+        participantName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        entry: registration.scanHistory[registration.scanHistory.length - 1],
+      });
+
       res.json({
         success: true,
         message: "Attendance marked successfully",
@@ -1857,6 +3395,14 @@ router.post(
       }
       await event.save();
 
+      await broadcastAttendanceUpdate(eventId, {
+        result: status === "present" ? "manual_present" : "manual_absent",
+        registrationId: registration._id,
+        ticketId: registration.ticketId,
+        participantName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        entry: registration.scanHistory[registration.scanHistory.length - 1],
+      });
+
       res.json({
         message: `Attendance manually set to ${status}`,
         participant: {
@@ -1874,6 +3420,27 @@ router.post(
   },
 );
 
+// Helper to summarise attendance per team for team events
+function groupAttendanceByTeam(registrations) {
+  const teams = {};
+  for (const r of registrations) {
+    const key = r.teamId ? r.teamId.toString() : "none";
+    if (!teams[key]) {
+      teams[key] = {
+        teamId: r.teamId || null,
+        teamName: r.teamName || "No team",
+        members: 0,
+        present: 0,
+      };
+    }
+    teams[key].members += 1;
+    if (r.attendanceStatus === "present") teams[key].present += 1;
+  }
+  return Object.values(teams).sort((a, b) =>
+    a.teamName.localeCompare(b.teamName),
+  );
+}
+
 // GET /api/events/:id/attendance-dashboard - Live attendance stats
 router.get(
   "/:id/attendance-dashboard",
@@ -1890,42 +3457,26 @@ router.get(
         return res.status(403).json({ error: "Unauthorized access" });
       }
 
-      // Get all registrations with valid payment status
+      // Get all active registrations with valid payment status
       const registrations = await Registration.find({
         eventId: req.params.id,
+        status: { $in: ["registered", "attended"] },
         $or: [
           { paymentApprovalStatus: "not_required" },
           { paymentApprovalStatus: "approved" },
         ],
       }).populate("userId", "firstName lastName email collegeName");
 
-      const present = registrations.filter(
-        (r) => r.attendanceStatus === "present",
-      );
-      const notChecked = registrations.filter(
-        (r) => r.attendanceStatus === "not_checked",
-      );
-      const absent = registrations.filter(
-        (r) => r.attendanceStatus === "absent",
-      );
-
       res.json({
-        stats: {
-          totalRegistered: registrations.length,
-          present: present.length,
-          notYetScanned: notChecked.length,
-          absent: absent.length,
-          attendanceRate:
-            registrations.length > 0
-              ? ((present.length / registrations.length) * 100).toFixed(1)
-              : 0,
-        },
+        stats: computeAttendanceStats(registrations),
+        teams: event.isTeamEvent ? groupAttendanceByTeam(registrations) : [],
         participants: registrations.map((r) => ({
           _id: r._id,
           name: `${r.userId?.firstName || ""} ${r.userId?.lastName || ""}`.trim(),
           email: r.userId?.email,
           collegeName: r.userId?.collegeName,
           ticketId: r.ticketId,
+          teamName: r.teamName,
           attendanceStatus: r.attendanceStatus,
           attendanceTimestamp: r.attendanceTimestamp,
           manualOverride: r.manualOverride,
@@ -1957,6 +3508,7 @@ router.get(
 
       const registrations = await Registration.find({
         eventId: req.params.id,
+        status: { $in: ["registered", "attended"] },
         $or: [
           { paymentApprovalStatus: "not_required" },
           { paymentApprovalStatus: "approved" },
@@ -1964,10 +3516,18 @@ router.get(
       }).populate("userId", "firstName lastName email collegeName");
 
       // Generate CSV
+      // Keep team members together in the export
+      if (event.isTeamEvent) {
+        registrations.sort((a, b) =>
+          (a.teamName || "").localeCompare(b.teamName || ""),
+        );
+      }
+
       const headers = [
         "Name",
         "Email",
         "College",
+        ...(event.isTeamEvent ? ["Team"] : []),
         "Ticket ID",
         "Attendance Status",
         "Check-in Time",
@@ -1978,6 +3538,7 @@ router.get(
         `${r.userId?.firstName || ""} ${r.userId?.lastName || ""}`.trim(),
         r.userId?.email || "N/A",
         r.userId?.collegeName || "N/A",
+        ...(event.isTeamEvent ? [r.teamName || "-"] : []),
         r.ticketId,
         r.attendanceStatus,
         r.attendanceTimestamp
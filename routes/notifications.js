@@ -0,0 +1,102 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/notification");
+const authMiddleware = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/checkRole");
+
+// GET /api/notifications - Get logged-in user's notifications (newest first)
+router.get("/", authMiddleware, checkRole(["user"]), async (req, res) => {
+  try {
+    const { unreadOnly } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const query = { userId: req.user._id };
+    if (unreadOnly === "true") query.readAt = null;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .populate("eventId", "name eventStartDate")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+    ]);
+
+    res.json({ notifications, total, page, limit });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// GET /api/notifications/unread-count - Get number of unread notifications
+router.get(
+  "/unread-count",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const count = await Notification.countDocuments({
+        userId: req.user._id,
+        readAt: null,
+      });
+      res.json({ count });
+    } catch (error) {
+      console.error("Error counting notifications:", error);
+      res.status(500).json({ error: "Failed to count notifications" });
+    }
+  },
+);
+
+// PATCH /api/notifications/read-all - Mark all notifications as read
+router.patch(
+  "/read-all",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const result = await Notification.updateMany(
+        { userId: req.user._id, readAt: null },
+        { readAt: new Date() },
+      );
+      res.json({
+        message: "All notifications marked as read",
+        updated: result.modifiedCount,
+      });
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      res.status(500).json({ error: "Failed to mark notifications as read" });
+    }
+  },
+);
+
+// PATCH /api/notifications/:id/read - Mark one notification as read
+router.patch(
+  "/:id/read",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+      if (!notification) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      res.json({ notification });
+    } catch (error) {
+      console.error("Error marking notification read:", error);
+      res.status(500).json({ error: "Failed to mark notification as read" });
+    }
+  },
+);
+
+module.exports = router;
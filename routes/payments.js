@@ -0,0 +1,237 @@
+const express = require("express");
+const router = express.Router();
+const Payment = require("../models/payment");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const authMiddleware = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/checkRole");
+const {
+  getPaymentProvider,
+  isMockEnabled,
+} = require("../utils/paymentProviders");
+const {
+  getRegistrationAmount,
+  approvePayment,
+} = require("../utils/paymentApproval");
+const { refundUnappliedPayment } = require("../utils/refunds");
+const { CLOSED_STATUSES } = require("../utils/seatManager");
+
+// Helper to apply a verified gateway webhook, returns { status, error } on failure
+async function handleWebhook(provider, rawBody, headers) {
+  if (!provider.verifyWebhookSignature(rawBody, headers)) {
+    return { status: 400, error: "Invalid webhook signature" };
+  }
+
+  const { type, orderId, paymentId, amount } = provider.parseWebhook(
+    JSON.parse(rawBody.toString()),
+  );
+  const payment = await Payment.findOne({ orderId, provider: provider.name });
+  if (!payment) {
+    return { status: 404, error: "Order not found" };
+  }
+
+  // Gateways retry webhooks, so a captured order is never processed twice
+  if (payment.status === "captured") return {};
+
+  if (type === "payment.failed") {
+    payment.status = "failed";
+    payment.paymentId = paymentId;
+    payment.failureReason = "Payment failed at gateway";
+    await payment.save();
+    return {};
+  }
+
+  if (type !== "payment.captured") return {};
+
+  if (amount !== undefined && amount < payment.amount) {
+    payment.status = "failed";
+    payment.paymentId = paymentId;
+    payment.failureReason = `Captured amount ${amount} is less than ${payment.amount}`;
+    await payment.save();
+
+    // The short payment was still taken, so it goes back to the participant
+    const event = await Event.findById(payment.eventId);
+    if (event && amount > 0) {
+      await refundUnappliedPayment(event, payment, {
+        amount,
+        reason: payment.failureReason,
+      });
+    }
+    return {};
+  }
+
+  // Claim the capture atomically before issuing anything
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $ne: "captured" } },
+    { status: "captured", paymentId, capturedAt: new Date() },
+    { new: true },
+  );
+  if (!captured) return {};
+
+  const [registration, event] = await Promise.all([
+    Registration.findById(payment.registrationId),
+    Event.findById(payment.eventId),
+  ]);
+  if (!event) return {};
+  const approval =
+    registration &&
+    registration.paymentApprovalStatus === "pending" &&
+    !CLOSED_STATUSES.includes(registration.status)
+      ? await approvePayment(event, registration, { method: "online" })
+      : null;
+  if (!approval) {
+    // Paid twice, or paid after the registration was cancelled or rejected
+    await refundUnappliedPayment(event, captured, {
+      amount: amount ?? captured.amount,
+      reason:
+        "Payment received after the registration was no longer awaiting payment",
+    });
+  }
+  return {};
+}
+
+// POST /api/payments/registrations/:registrationId/order - Create a gateway order for a pending payment
+router.post(
+  "/registrations/:registrationId/order",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const registration = await Registration.findById(
+        req.params.registrationId,
+      );
+      if (
+        !registration ||
+        registration.userId.toString() !== req.user._id.toString()
+      ) {
+        return res.status(404).json({ error: "Registration not found" });
+      }
+
+      if (CLOSED_STATUSES.includes(registration.status)) {
+        return res
+          .status(400)
+          .json({ error: `Registration is ${registration.status}` });
+      }
+
+      if (registration.paymentApprovalStatus !== "pending") {
+        return res
+          .status(400)
+          .json({ error: "Payment not required or already processed" });
+      }
+
+      const event = await Event.findById(registration.eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      let provider;
+      try {
+        provider = getPaymentProvider();
+      } catch (err) {
+        console.error("Payment provider error:", err.message);
+        return res
+          .status(503)
+          .json({ error: "Online payments are not available" });
+      }
+
+      const amount = getRegistrationAmount(event, registration);
+      const order = await provider.createOrder({
+        amount,
+        currency: "INR",
+        receipt: registration._id.toString(),
+        notes: { eventId: event._id.toString() },
+      });
+
+      await Payment.create({
+        registrationId: registration._id,
+        eventId: event._id,
+        userId: req.user._id,
+        provider: provider.name,
+        orderId: order.orderId,
+        amount,
+        currency: order.currency,
+      });
+
+      res.status(201).json({
+        message: "Payment order created",
+        checkout: provider.getCheckoutData(order),
+      });
+    } catch (error) {
+      console.error("Payment order error:", error);
+      res.status(500).json({ error: "Failed to create payment order" });
+    }
+  },
+);
+
+// POST /api/payments/webhook/:provider - Signature-verified gateway webhook
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    // Only the active provider may settle payments
+    let provider;
+    try {
+      provider = getPaymentProvider();
+    } catch (err) {
+      return res.status(404).json({ error: "Unknown payment provider" });
+    }
+    if (provider.name !== req.params.provider) {
+      return res.status(404).json({ error: "Unknown payment provider" });
+    }
+
+    const result = await handleWebhook(provider, req.rawBody, req.headers);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+// Only mounted when ENABLE_MOCK_PAYMENTS=true outside production
+if (isMockEnabled()) {
+  // POST /api/payments/mock/checkout/:orderId - Complete a mock checkout (local development only)
+  router.post(
+    "/mock/checkout/:orderId",
+    authMiddleware,
+    checkRole(["user"]),
+    async (req, res) => {
+      try {
+        const provider = getPaymentProvider();
+        if (provider.name !== "mock") {
+          return res.status(404).json({ error: "Mock gateway is not enabled" });
+        }
+
+        const { outcome = "success" } = req.body || {};
+        const payment = await Payment.findOne({
+          orderId: req.params.orderId,
+          provider: "mock",
+        });
+        if (!payment || payment.userId.toString() !== req.user._id.toString()) {
+          return res.status(404).json({ error: "Order not found" });
+        }
+
+        // Goes through the same signed webhook path as a real gateway
+        const { rawBody, headers } = provider.buildWebhook(payment, outcome);
+        const result = await handleWebhook(provider, rawBody, headers);
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        const updated = await Payment.findById(payment._id);
+        res.json({
+          message:
+            updated.status === "captured"
+              ? "Payment successful"
+              : "Payment failed",
+          status: updated.status,
+        });
+      } catch (error) {
+        console.error("Mock checkout error:", error);
+        res.status(500).json({ error: "Failed to complete mock checkout" });
+      }
+    },
+  );
+}
+
+module.exports = router;
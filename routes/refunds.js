@@ -0,0 +1,255 @@
+const express = require("express");
+const router = express.Router();
+const Refund = require("../models/refund");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const authMiddleware = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/checkRole");
+const {
+  getRefundableAmount,
+  sendRefundUpdate,
+  requestRefund,
+  markRefundProcessed,
+} = require("../utils/refunds");
+
+// Helper to load a refund and its event, checking the club owns the event
+async function loadOwnedRefund(refundId, clubId) {
+  const refund = await Refund.findById(refundId);
+  if (!refund) return { status: 404, error: "Refund not found" };
+  const event = await Event.findById(refund.eventId);
+  if (!event) return { status: 404, error: "Event not found" };
+  if (event.organizerId.toString() !== clubId.toString()) {
+    return { status: 403, error: "Unauthorized access" };
+  }
+  return { refund, event };
+}
+
+// GET /api/refunds/my - Get logged-in user's refunds
+router.get("/my", authMiddleware, checkRole(["user"]), async (req, res) => {
+  try {
+    const refunds = await Refund.find({ userId: req.user._id })
+      .populate("eventId", "name eventStartDate")
+      .sort({ createdAt: -1 });
+    res.json({ refunds });
+  } catch (error) {
+    console.error("Error fetching refunds:", error);
+    res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+});
+
+// GET /api/refunds/event/:eventId - Get all refunds for an event (Organizer only)
+router.get(
+  "/event/:eventId",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const refunds = await Refund.find({ eventId: event._id })
+        .populate("userId", "firstName lastName email")
+        .sort({ createdAt: -1 });
+
+      const summary = { requested: 0, approved: 0, processed: 0, rejected: 0 };
+      for (const refund of refunds) {
+        summary[refund.status] += refund.amount;
+      }
+
+      res.json({ refunds, summary });
+    } catch (error) {
+      console.error("Error fetching event refunds:", error);
+      res.status(500).json({ error: "Failed to fetch refunds" });
+    }
+  },
+);
+
+// POST /api/refunds/event/:eventId/registration/:registrationId - Start a refund (Organizer only)
+router.post(
+  "/event/:eventId/registration/:registrationId",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { eventId, registrationId } = req.params;
+      const { amount, reason } = req.body;
+
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const registration = await Registration.findById(registrationId);
+      if (!registration || registration.eventId.toString() !== eventId) {
+        return res.status(404).json({ error: "Registration not found" });
+      }
+
+      if (registration.paymentApprovalStatus !== "approved") {
+        return res
+          .status(400)
+          .json({ error: "Only approved payments can be refunded" });
+      }
+
+      const { refund, error } = await requestRefund(event, registration, {
+        amount,
+        reason,
+        source: "organizer",
+        approvedBy: req.user._id,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.status(201).json({ message: "Refund started", refund });
+    } catch (error) {
+      console.error("Refund start error:", error);
+      res.status(500).json({ error: "Failed to start refund" });
+    }
+  },
+);
+
+// POST /api/refunds/:id/approve - Approve a requested refund, optionally for a smaller amount (Organizer only)
+router.post(
+  "/:id/approve",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { refund, event, status, error } = await loadOwnedRefund(
+        req.params.id,
+        req.user._id,
+      );
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      if (refund.status !== "requested") {
+        return res
+          .status(400)
+          .json({ error: `Refund is already ${refund.status}` });
+      }
+
+      if (
+        req.body.amount !== undefined &&
+        refund.source === "unapplied_payment"
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Unapplied payments are refunded in full" });
+      }
+
+      if (req.body.amount !== undefined) {
+        const amount = Number(req.body.amount);
+        const registration = await Registration.findById(refund.registrationId);
+        // this refund's own amount is still counted against the registration
+        const refundable =
+          (await getRefundableAmount(event, registration)) + refund.amount;
+        if (!(amount > 0) || amount > refundable) {
+          return res.status(400).json({
+            error: `Refund amount must be between 0 and ${refundable}`,
+          });
+        }
+        refund.amount = amount;
+      }
+
+      refund.status = "approved";
+      refund.approvedBy = req.user._id;
+      refund.approvedAt = new Date();
+      await refund.save();
+
+      await sendRefundUpdate(refund, event);
+
+      res.json({ message: "Refund approved", refund });
+    } catch (error) {
+      console.error("Refund approval error:", error);
+      res.status(500).json({ error: "Failed to approve refund" });
+    }
+  },
+);
+
+// POST /api/refunds/:id/reject - Decline a requested refund (Organizer only)
+router.post(
+  "/:id/reject",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { refund, event, status, error } = await loadOwnedRefund(
+        req.params.id,
+        req.user._id,
+      );
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      if (refund.status !== "requested") {
+        return res
+          .status(400)
+          .json({ error: `Refund is already ${refund.status}` });
+      }
+
+      refund.status = "rejected";
+      refund.rejectionReason =
+        req.body.reason || "Refund declined by organizer";
+      await refund.save();
+
+      await sendRefundUpdate(refund, event);
+
+      res.json({ message: "Refund rejected", refund });
+    } catch (error) {
+      console.error("Refund rejection error:", error);
+      res.status(500).json({ error: "Failed to reject refund" });
+    }
+  },
+);
+
+// POST /api/refunds/:id/process - Confirm an approved refund was paid out (Organizer only)
+router.post(
+  "/:id/process",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const { refund, event, status, error } = await loadOwnedRefund(
+        req.params.id,
+        req.user._id,
+      );
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      if (refund.status !== "approved") {
+        return res
+          .status(400)
+          .json({ error: "Only approved refunds can be marked processed" });
+      }
+
+      const processed = await markRefundProcessed(refund, {
+        processedBy: req.user._id,
+        transactionReference: req.body.transactionReference,
+      });
+      if (!processed) {
+        return res.status(409).json({ error: "Refund was already processed" });
+      }
+
+      await sendRefundUpdate(processed, event);
+
+      res.json({ message: "Refund marked as processed", refund: processed });
+    } catch (error) {
+      console.error("Refund processing error:", error);
+      res.status(500).json({ error: "Failed to process refund" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,567 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const Team = require("../models/team");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const authMiddleware = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/checkRole");
+const {
+  sendRegistrationEmail,
+  sendTeamInviteEmail,
+} = require("../utils/emailService");
+const {
+  issueTicket,
+  getSeatsTaken,
+  reserveSeats,
+  confirmSeat,
+} = require("../utils/seatManager");
+const { assignPrice } = require("../utils/pricing");
+
+// Helper to check a team event is open to this user, returns an error response or null
+function checkTeamEventOpen(event, user) {
+  if (!event) return { status: 404, error: "Event not found" };
+  if (!event.isTeamEvent) {
+    return { status: 400, error: "This is not a team event" };
+  }
+  if (event.status !== "published" && event.status !== "ongoing") {
+    return { status: 400, error: "Event is not open for registration" };
+  }
+  if (new Date() > new Date(event.registrationDeadline)) {
+    return { status: 400, error: "Registration deadline has passed" };
+  }
+  if (event.eligibility === "iiitans" && !user.isIIITian) {
+    return { status: 403, error: "This event is restricted to IIITians only" };
+  }
+  if (event.eligibility === "iiitans" && !user.isEmailVerified) {
+    return {
+      status: 403,
+      error: "Please verify your IIIT email before registering for this event",
+    };
+  }
+  if (event.eligibility === "external" && user.isIIITian) {
+    return {
+      status: 403,
+      error: "This event is restricted to external participants only",
+    };
+  }
+  return null;
+}
+
+// Helper to generate a short team join code
+function generateJoinCode() {
+  return crypto.randomBytes(4).toString("hex").toUpperCase();
+}
+
+// Helper to finalize a full team: every member gets their own registration outcome
+// returns { team } or { status, error } when the seats for the whole team are gone
+async function completeTeam(team, event) {
+  // Only one caller may complete the team
+  const completed = await Team.findOneAndUpdate(
+    { _id: team._id, status: "forming" },
+    { $set: { status: "complete", completedAt: new Date() } },
+    { new: true },
+  );
+  if (!completed) return { team };
+
+  const registrations = await Registration.find({
+    teamId: team._id,
+    status: "team_pending",
+  }).populate("userId", "firstName lastName email isIIITian");
+
+  // The whole team takes its seats in one atomic claim or not at all
+  if (!(await reserveSeats(event, registrations))) {
+    await Team.updateOne(
+      { _id: team._id },
+      { $set: { status: "forming" }, $unset: { completedAt: 1 } },
+    );
+    return { status: 400, error: "Not enough seats left to confirm this team" };
+  }
+
+  for (const registration of registrations) {
+    // Each member pays their own tier price
+    const isPaidEvent =
+      (await assignPrice(event, registration, registration.userId)) > 0;
+    if (isPaidEvent) {
+      registration.paymentStatus = "pending";
+      registration.paymentApprovalStatus = "pending";
+    }
+    if (event.requiresApproval) {
+      registration.registrationApprovalStatus = "pending";
+    }
+
+    if (isPaidEvent || event.requiresApproval) {
+      registration.status = "pending_approval";
+      await registration.save();
+      continue;
+    }
+
+    registration.status = "registered";
+    await confirmSeat(event, registration);
+    const qrCodeBuffer = await issueTicket(event, registration);
+
+    try {
+      await sendRegistrationEmail({
+        to: registration.userId.email,
+        userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        eventName: `${event.name} (Team ${team.name})`,
+        eventDate: event.eventStartDate,
+        eventLocation: event.location,
+        ticketId: registration.ticketId,
+        qrCodeBuffer,
+        registrationFee: 0,
+      });
+    } catch (emailError) {
+      console.error("Failed to send team registration email:", emailError);
+    }
+  }
+  return { team: completed };
+}
+
+// Helper to add a user to a forming team, completing it when it reaches max size
+async function joinTeam(team, event, user, formData) {
+  if (team.status !== "forming") {
+    return { status: 400, error: "Team is already complete" };
+  }
+
+  // The member filling the last slot must also fit in the remaining seats
+  const fillsTeam = team.members.length + 1 >= event.maxTeamSize;
+  if (
+    fillsTeam &&
+    getSeatsTaken(event) + team.members.length + 1 > event.registrationLimit
+  ) {
+    return { status: 400, error: "Not enough seats left to confirm this team" };
+  }
+
+  // Atomically push only if a slot is still free
+  const updated = await Team.findOneAndUpdate(
+    {
+      _id: team._id,
+      status: "forming",
+      [`members.${event.maxTeamSize - 1}`]: { $exists: false },
+    },
+    { $push: { members: { userId: user._id } } },
+    { new: true },
+  );
+  if (!updated) {
+    return { status: 400, error: "Team is full" };
+  }
+
+  const registration = new Registration({
+    userId: user._id,
+    eventId: event._id,
+    status: "team_pending",
+    teamId: team._id,
+    teamName: team.name,
+    formData,
+    attendanceStatus: "not_checked",
+  });
+  try {
+    await registration.save();
+  } catch (saveError) {
+    await Team.updateOne(
+      { _id: team._id },
+      { $pull: { members: { userId: user._id } } },
+    );
+    if (
+      saveError.code === 11000 &&
+      saveError.keyPattern?.userId &&
+      saveError.keyPattern?.eventId
+    ) {
+      return { status: 409, error: "Already registered for this event" };
+    }
+    throw saveError;
+  }
+
+  if (updated.members.length >= event.maxTeamSize) {
+    const result = await completeTeam(updated, event);
+    if (result.error) {
+      // The team could not be confirmed, so the last member is not let in
+      await Team.updateOne(
+        { _id: team._id },
+        { $pull: { members: { userId: user._id } } },
+      );
+      await Registration.deleteOne({ _id: registration._id });
+    }
+    return result;
+  }
+  return { team: updated };
+}
+
+// POST /api/teams/event/:eventId - Create a team as its leader
+router.post(
+  "/event/:eventId",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const { teamName, formData } = req.body;
+      if (!teamName || teamName.trim().length === 0) {
+        return res.status(400).json({ error: "Team name is required" });
+      }
+
+      const event = await Event.findById(req.params.eventId);
+      const openError = checkTeamEventOpen(event, req.user);
+      if (openError) {
+        return res.status(openError.status).json({ error: openError.error });
+      }
+
+      if (getSeatsTaken(event) + event.minTeamSize > event.registrationLimit) {
+        return res
+          .status(400)
+          .json({ error: "Not enough seats left for a new team" });
+      }
+
+      const nameTaken = await Team.findOne({
+        eventId: event._id,
+        name: teamName.trim(),
+      });
+      if (nameTaken) {
+        return res.status(409).json({ error: "Team name already taken" });
+      }
+
+      const team = new Team({
+        eventId: event._id,
+        name: teamName.trim(),
+        leaderId: req.user._id,
+        joinCode: generateJoinCode(),
+        members: [],
+      });
+      try {
+        await team.save();
+      } catch (saveError) {
+        // Another leader took the name between the check and the save
+        if (saveError.code === 11000 && saveError.keyPattern?.name) {
+          return res.status(409).json({ error: "Team name already taken" });
+        }
+        throw saveError;
+      }
+
+      const result = await joinTeam(team, event, req.user, formData);
+      if (result.error) {
+        await Team.findByIdAndDelete(team._id);
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(201).json({
+        message:
+          result.team.status === "complete"
+            ? "Team created and registration completed"
+            : "Team created. Share the join code with your teammates.",
+        team: result.team,
+      });
+    } catch (error) {
+      console.error("Error creating team:", error);
+      res.status(500).json({ error: "Failed to create team" });
+    }
+  },
+);
+
+// GET /api/teams/event/:eventId/my-team - Get logged-in user's team for an event
+router.get(
+  "/event/:eventId/my-team",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const team = await Team.findOne({
+        eventId: req.params.eventId,
+        "members.userId": req.user._id,
+      }).populate("members.userId", "firstName lastName email");
+
+      if (!team) {
+        return res.status(404).json({ error: "You are not in a team" });
+      }
+
+      const isLeader = team.leaderId.toString() === req.user._id.toString();
+      const teamObj = team.toObject();
+      // Only the leader sees invitation tokens
+      if (!isLeader) {
+        teamObj.invitations = teamObj.invitations.map((inv) => ({
+          email: inv.email,
+          status: inv.status,
+          invitedAt: inv.invitedAt,
+        }));
+      }
+
+      res.json({ team: teamObj, isLeader });
+    } catch (error) {
+      console.error("Error fetching team:", error);
+      res.status(500).json({ error: "Failed to fetch team" });
+    }
+  },
+);
+
+// GET /api/teams/event/:eventId - Get all teams for an event (Organizer only)
+router.get(
+  "/event/:eventId",
+  authMiddleware,
+  checkRole(["club"]),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      if (event.organizerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: "Unauthorized access" });
+      }
+
+      const teams = await Team.find({ eventId: event._id })
+        .select("-invitations")
+        .populate("members.userId", "firstName lastName email collegeName")
+        .sort({ createdAt: 1 });
+
+      res.json({ teams, count: teams.length });
+    } catch (error) {
+      console.error("Error fetching teams:", error);
+      res.status(500).json({ error: "Failed to fetch teams" });
+    }
+  },
+);
+
+// POST /api/teams/join - Join a team by join code or invitation token
+router.post("/join", authMiddleware, checkRole(["user"]), async (req, res) => {
+  try {
+    const { joinCode, token, formData } = req.body;
+    if (!joinCode && !token) {
+      return res
+        .status(400)
+        .json({ error: "Join code or invitation token is required" });
+    }
+
+    let team = null;
+    if (token) {
+      team = await Team.findOne({ "invitations.token": token });
+      const invitation = team?.invitations.find((inv) => inv.token === token);
+      if (!invitation || invitation.status !== "pending") {
+        return res.status(404).json({ error: "Invitation not found or used" });
+      }
+      if (invitation.email !== req.user.email.toLowerCase()) {
+        return res
+          .status(403)
+          .json({ error: "This invitation was sent to a different email" });
+      }
+    } else {
+      team = await Team.findOne({ joinCode: joinCode.trim().toUpperCase() });
+    }
+
+    if (!team) {
+      return res.status(404).json({ error: "Team not found" });
+    }
+
+    const event = await Event.findById(team.eventId);
+    const openError = checkTeamEventOpen(event, req.user);
+    if (openError) {
+      return res.status(openError.status).json({ error: openError.error });
+    }
+
+    const result = await joinTeam(team, event, req.user, formData);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (token) {
+      await Team.updateOne(
+        { _id: team._id, "invitations.token": token },
+        { $set: { "invitations.$.status": "accepted" } },
+      );
+    }
+
+    res.json({
+      message:
+        result.team.status === "complete"
+          ? "Joined team. Team is complete and registration is confirmed."
+          : "Joined team successfully",
+      team: {
+        _id: result.team._id,
+        name: result.team.name,
+        status: result.team.status,
+        memberCount: result.team.members.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error joining team:", error);
+    res.status(500).json({ error: "Failed to join team" });
+  }
+});
+
+// POST /api/teams/:id/invite - Invite members by email (Leader only)
+router.post(
+  "/:id/invite",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const { emails } = req.body;
+      if (!Array.isArray(emails) || emails.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "At least one email is required" });
+      }
+
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({ error: "Team not found" });
+      }
+
+      if (team.leaderId.toString() !== req.user._id.toString()) {
+        return res
+          .status(403)
+          .json({ error: "Only the team leader can invite members" });
+      }
+
+      if (team.status !== "forming") {
+        return res.status(400).json({ error: "Team is already complete" });
+      }
+
+      const event = await Event.findById(team.eventId);
+      const invited = [];
+      for (const rawEmail of emails) {
+        const email = String(rawEmail).toLowerCase().trim();
+        if (!email) continue;
+        const token = crypto.randomBytes(24).toString("hex");
+        team.invitations.push({ email, token });
+        invited.push({ email, token });
+      }
+      await team.save();
+
+      for (const { email, token } of invited) {
+        try {
+          await sendTeamInviteEmail({
+            to: email,
+            leaderName: `${req.user.firstName} ${req.user.lastName}`,
+            teamName: team.name,
+            eventName: event?.name || "",
+            inviteLink: `${process.env.FRONTEND_URL}/teams/join?token=${token}`,
+            joinCode: team.joinCode,
+          });
+        } catch (emailError) {
+          console.error("Failed to send team invite email:", emailError);
+        }
+      }
+
+      res.json({
+        message: `${invited.length} invitation(s) sent`,
+        invited: invited.map((i) => i.email),
+      });
+    } catch (error) {
+      console.error("Error inviting team members:", error);
+      res.status(500).json({ error: "Failed to send invitations" });
+    }
+  },
+);
+
+// POST /api/teams/:id/finalize - Complete a team that has reached minimum size (Leader only)
+router.post(
+  "/:id/finalize",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({ error: "Team not found" });
+      }
+
+      if (team.leaderId.toString() !== req.user._id.toString()) {
+        return res
+          .status(403)
+          .json({ error: "Only the team leader can finalize the team" });
+      }
+
+      if (team.status !== "forming") {
+        return res.status(400).json({ error: "Team is already complete" });
+      }
+
+      const event = await Event.findById(team.eventId);
+      if (team.members.length < event.minTeamSize) {
+        return res.status(400).json({
+          error: `Team needs at least ${event.minTeamSize} members`,
+        });
+      }
+
+      if (
+        getSeatsTaken(event) + team.members.length >
+        event.registrationLimit
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Not enough seats left to confirm this team" });
+      }
+
+      const result = await completeTeam(team, event);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({ message: "Team registration completed", team: result.team });
+    } catch (error) {
+      console.error("Error finalizing team:", error);
+      res.status(500).json({ error: "Failed to finalize team" });
+    }
+  },
+);
+
+// POST /api/teams/:id/leave - Leave a forming team (leader leaving disbands it)
+router.post(
+  "/:id/leave",
+  authMiddleware,
+  checkRole(["user"]),
+  async (req, res) => {
+    try {
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({ error: "Team not found" });
+      }
+
+      if (team.status !== "forming") {
+        return res.status(400).json({
+          error:
+            "Cannot leave a complete team - cancel your registration instead",
+        });
+      }
+
+      const isMember = team.members.some(
+        (m) => m.userId.toString() === req.user._id.toString(),
+      );
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not in this team" });
+      }
+
+      if (team.leaderId.toString() === req.user._id.toString()) {
+        await Registration.deleteMany({
+          teamId: team._id,
+          status: "team_pending",
+        });
+        await Team.findByIdAndDelete(team._id);
+        return res.json({ message: "Team disbanded" });
+      }
+
+      // Pull atomically so a member joining at the same time isn't overwritten
+      const left = await Team.updateOne(
+        { _id: team._id, status: "forming" },
+        { $pull: { members: { userId: req.user._id } } },
+      );
+      if (left.modifiedCount === 0) {
+        return res.status(400).json({
+          error:
+            "Cannot leave a complete team - cancel your registration instead",
+        });
+      }
+      await Registration.deleteOne({
+        teamId: team._id,
+        userId: req.user._id,
+        status: "team_pending",
+      });
+
+      res.json({ message: "Left team successfully" });
+    } catch (error) {
+      console.error("Error leaving team:", error);
+      res.status(500).json({ error: "Failed to leave team" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require("express");
+const router = express.Router();
+const Venue = require("../models/venue");
+const Event = require("../models/event");
+const authMiddleware = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/checkRole");
+const { BOOKED_STATUSES, describeVenue } = require("../utils/venues");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "address",
+  "capacity",
+  "facilities",
+  "isActive",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// GET /api/venues - Get venues (admins also see inactive ones)
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const filter = req.user.type === "admin" ? {} : { isActive: true };
+    const venues = await Venue.find(filter).sort({ name: 1 });
+
+    res.json({ venues });
+  } catch (error) {
+    console.error("Error fetching venues:", error);
+    res.status(500).json({ error: "Failed to fetch venues" });
+  }
+});
+
+// GET /api/venues/calendar - Venue occupancy calendar (Admin only)
+// ?from&to default to the next 30 days, ?venueId narrows it to one venue
+router.get(
+  "/calendar",
+  authMiddleware,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to
+        ? new Date(req.query.to)
+        : new Date(from.getTime() + 30 * DAY_MS);
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+        return res.status(400).json({ error: "Invalid date range" });
+      }
+
+      const venueFilter = req.query.venueId ? { _id: req.query.venueId } : {};
+      const venues = await Venue.find(venueFilter).sort({ name: 1 });
+
+      const events = await Event.find({
+        venueId: { $in: venues.map((v) => v._id) },
+        status: { $in: BOOKED_STATUSES },
+        eventStartDate: { $lt: to },
+        eventEndDate: { $gt: from },
+      })
+        .select(
+          "name organizerId venueId status eventStartDate eventEndDate registrationLimit totalRegistrations",
+        )
+        .populate("organizerId", "name")
+        .sort({ eventStartDate: 1 });
+
+      const rangeHours = (to - from) / HOUR_MS;
+      const calendar = venues.map((venue) => {
+        const bookings = events.filter(
+          (e) => e.venueId.toString() === venue._id.toString(),
+        );
+
+        // Flag double bookings left behind by edits made at the same time
+        let latestEnd = null;
+        let bookedMs = 0;
+        const entries = bookings.map((e) => {
+          const conflict = latestEnd !== null && e.eventStartDate < latestEnd;
+          if (latestEnd === null || e.eventEndDate > latestEnd) {
+            latestEnd = e.eventEndDate;
+          }
+          const start = Math.max(e.eventStartDate.getTime(), from.getTime());
+          const end = Math.min(e.eventEndDate.getTime(), to.getTime());
+          bookedMs += end - start;
+          return {
+            eventId: e._id,
+            name: e.name,
+            club: e.organizerId?.name,
+            status: e.status,
+            start: e.eventStartDate,
+            end: e.eventEndDate,
+            registrationLimit: e.registrationLimit,
+            totalRegistrations: e.totalRegistrations,
+            conflict,
+          };
+        });
+
+        const bookedHours = Math.round((bookedMs / HOUR_MS) * 10) / 10;
+        return {
+          venue: {
+            _id: venue._id,
+            name: venue.name,
+            capacity: venue.capacity,
+            facilities: venue.facilities,
+            isActive: venue.isActive,
+          },
+          bookings: entries,
+          bookedHours,
+          occupancy: Math.round((bookedHours / rangeHours) * 1000) / 10,
+        };
+      });
+
+      res.json({ from, to, calendar });
+    } catch (error) {
+      console.error("Error fetching venue calendar:", error);
+      res.status(500).json({ error: "Failed to fetch venue calendar" });
+    }
+  },
+);
+
+// POST /api/venues - Create a venue (Admin only)
+router.post("/", authMiddleware, checkRole(["admin"]), async (req, res) => {
+  try {
+    const { name, capacity } = req.body;
+
+    if (!name || !capacity) {
+      return res.status(400).json({ error: "Name and capacity are required" });
+    }
+
+    const venue = new Venue({});
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) venue[field] = req.body[field];
+    }
+    await venue.save();
+
+    res.status(201).json({ message: "Venue created", venue });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A venue with this name already exists" });
+    }
+    console.error("Venue creation error:", error);
+    res.status(500).json({ error: error.message || "Failed to create venue" });
+  }
+});
+
+// PATCH /api/venues/:id - Update a venue (Admin only)
+router.patch("/:id", authMiddleware, checkRole(["admin"]), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ error: "Venue not found" });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) venue[field] = req.body[field];
+    }
+
+    // Upcoming events must still fit after a capacity cut
+    if (venue.isModified("capacity")) {
+      const tooBig = await Event.findOne({
+        venueId: venue._id,
+        status: { $in: ["draft", "postponed", ...BOOKED_STATUSES] },
+        eventEndDate: { $gt: new Date() },
+        registrationLimit: { $gt: venue.capacity },
+      }).select("name registrationLimit");
+      if (tooBig) {
+        return res.status(400).json({
+          error: `${tooBig.name} allows ${tooBig.registrationLimit} registrations, more than the new capacity`,
+        });
+      }
+    }
+
+    const locationChanged = venue.isModified(["name", "address"]);
+    await venue.save();
+
+    // Keep the location text shown on events in step
+    if (locationChanged) {
+      await Event.updateMany(
+        { venueId: venue._id },
+        { $set: { location: describeVenue(venue) } },
+      );
+    }
+
+    res.json({ message: "Venue updated", venue });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A venue with this name already exists" });
+    }
+    console.error("Venue update error:", error);
+    res.status(500).json({ error: error.message || "Failed to update venue" });
+  }
+});
+
+// DELETE /api/venues/:id - Delete a venue no event uses (Admin only)
+router.delete(
+  "/:id",
+  authMiddleware,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const venue = await Venue.findById(req.params.id);
+      if (!venue) {
+        return res.status(404).json({ error: "Venue not found" });
+      }
+
+      const inUse = await Event.exists({ venueId: venue._id });
+      if (inUse) {
+        return res.status(400).json({
+          error: "Venue is used by events - deactivate it instead",
+        });
+      }
+
+      await venue.deleteOne();
+      res.json({ message: "Venue deleted" });
+    } catch (error) {
+      console.error("Venue deletion error:", error);
+      res.status(500).json({ error: "Failed to delete venue" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,189 @@
+// Registration rush load test: fires many concurrent registrations (and a
+// duplicate from every user) at a running server and checks that no event
+// ends up with more seats taken than its registrationLimit.
+//
+// usage: node scripts/loadTestRegistrations.js [--users 200] [--limit 50] [--free]
+//   API_URL (default http://localhost:5000), MONGODB_URI and JWT_SECRET are read from .env
+//   paid events are used by default so no confirmation emails go out; --free
+//   confirms seats on the spot and sends an email per registration
+//
+// everything it creates is tagged and removed again at the end
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const User = require("../models/user");
+const Session = require("../models/session");
+const { createSession } = require("../utils/sessions");
+
+const API_URL = process.env.API_URL || "http://localhost:5000";
+const TAG = `loadtest-${Date.now()}`;
+
+function readArgs(argv) {
+  const args = { users: 200, limit: 50, free: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--users") args.users = Number.parseInt(argv[++i], 10);
+    else if (argv[i] === "--limit") args.limit = Number.parseInt(argv[++i], 10);
+    else if (argv[i] === "--free") args.free = true;
+  }
+  return args;
+}
+
+async function createFixtures({ users, limit, free }) {
+  const day = 24 * 60 * 60 * 1000;
+  const event = await Event.create({
+    name: `Load test ${TAG}`,
+    description: "Temporary event created by the registration load test",
+    organizerId: new mongoose.Types.ObjectId(),
+    eventType: "normal",
+    status: "published",
+    registrationDeadline: new Date(Date.now() + day),
+    eventStartDate: new Date(Date.now() + 2 * day),
+    eventEndDate: new Date(Date.now() + 3 * day),
+    registrationLimit: limit,
+    registrationFee: free ? 0 : 100,
+  });
+
+  const participants = [];
+  for (let i = 0; i < users; i++) {
+    const user = await User.create({
+      firstName: "Load",
+      lastName: `Tester ${i}`,
+      email: `${TAG}-${i}@example.com`,
+      password: "not-a-real-password",
+      onboardingCompleted: true,
+    });
+    const { accessToken } = await createSession(user._id, "user", {
+      headers: { "user-agent": TAG },
+      ip: "127.0.0.1",
+    });
+    participants.push({ user, accessToken });
+  }
+  return { event, participants };
+}
+
+async function register(eventId, accessToken) {
+  try {
+    const response = await fetch(`${API_URL}/api/events/${eventId}/register`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify({}),
+    });
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, body };
+  } catch (error) {
+    return { status: 0, body: { error: error.message } };
+  }
+}
+
+// every user registers twice at the same moment, all users at once
+async function rush(event, participants) {
+  const started = Date.now();
+  const results = await Promise.all(
+    participants.flatMap(({ accessToken }) => [
+      register(event._id, accessToken),
+      register(event._id, accessToken),
+    ]),
+  );
+  return { results, elapsedMs: Date.now() - started };
+}
+
+async function verify(event, participants, args) {
+  const registrations = await Registration.find({ eventId: event._id });
+  const fresh = await Event.findById(event._id);
+
+  const seated = registrations.filter(
+    (r) => r.seatStatus === "reserved" || r.seatStatus === "confirmed",
+  );
+  const waitlisted = registrations.filter((r) => r.status === "waitlisted");
+  const perUser = new Map();
+  for (const r of registrations) {
+    const id = r.userId.toString();
+    perUser.set(id, (perUser.get(id) || 0) + 1);
+  }
+  const duplicates = [...perUser.values()].filter((n) => n > 1).length;
+  const counter = fresh.totalRegistrations + (fresh.reservedSeats || 0);
+
+  const checks = [
+    {
+      name: "seats taken within registrationLimit",
+      ok: seated.length <= args.limit,
+      detail: `${seated.length} / ${args.limit}`,
+    },
+    {
+      name: "every seat handed out",
+      ok: seated.length === Math.min(args.limit, participants.length),
+      detail: `${seated.length} seated`,
+    },
+    {
+      name: "event counters match registrations",
+      ok: counter === seated.length,
+      detail: `totalRegistrations ${fresh.totalRegistrations} + reservedSeats ${fresh.reservedSeats || 0} vs ${seated.length}`,
+    },
+    {
+      name: "everyone else waitlisted",
+      ok: seated.length + waitlisted.length === participants.length,
+      detail: `${waitlisted.length} waitlisted`,
+    },
+    {
+      name: "one registration per user",
+      ok: duplicates === 0,
+      detail: `${duplicates} user(s) with more than one`,
+    },
+  ];
+  return checks;
+}
+
+// removes everything tagged by this run, even if setup stopped halfway
+async function cleanup() {
+  const events = await Event.find({ name: `Load test ${TAG}` }).select("_id");
+  const users = await User.find({ email: { $regex: `^${TAG}-` } }).select(
+    "_id",
+  );
+  const eventIds = events.map((e) => e._id);
+  const userIds = users.map((u) => u._id);
+  await Registration.deleteMany({ eventId: { $in: eventIds } });
+  await Event.deleteMany({ _id: { $in: eventIds } });
+  await Session.deleteMany({ accountId: { $in: userIds } });
+  await User.deleteMany({ _id: { $in: userIds } });
+}
+
+async function main() {
+  const args = readArgs(process.argv.slice(2));
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let failed = false;
+  try {
+    const { event, participants } = await createFixtures(args);
+    console.log(
+      `Registering ${args.users} users (twice each) for ${args.limit} seats at ${API_URL}`,
+    );
+
+    const { results, elapsedMs } = await rush(event, participants);
+    const byStatus = {};
+    for (const { status } of results) {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+    console.log(`Responses in ${elapsedMs}ms:`, byStatus);
+
+    const checks = await verify(event, participants, args);
+    for (const check of checks) {
+      console.log(
+        `${check.ok ? "PASS" : "FAIL"} ${check.name} (${check.detail})`,
+      );
+      if (!check.ok) failed = true;
+    }
+  } finally {
+    await cleanup();
+    await mongoose.disconnect();
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("Load test error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// Replaces the old unique (userId, eventId) registration index with the partial
+// one that only covers active registrations, so participants who cancelled can
+// register again. Run once per database before deploying:
+//
+// usage: node scripts/migrateRegistrationIndex.js   (MONGODB_URI is read from .env)
+//
+// needs MongoDB 6.0+ for the $in partial filter
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Registration = require("../models/registration");
+
+const OLD_INDEX = "userId_1_eventId_1";
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const indexes = await Registration.collection.indexes();
+    if (indexes.some((index) => index.name === OLD_INDEX)) {
+      await Registration.collection.dropIndex(OLD_INDEX);
+      console.log(`Dropped ${OLD_INDEX}`);
+    }
+    await Registration.createIndexes();
+    console.log("Registration indexes are up to date");
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("Index migration error:", error);
+  process.exit(1);
+});
@@ -3,6 +3,9 @@ const express = require("express"); // for APIs
 const cors = require("cors"); // cors middleware
 const mongoose = require("mongoose"); // for mondodb connection
 const path = require("path"); // make sure file paths work across diff operating systems
+const http = require("http"); // socket.io needs the raw http server
+const { initSocket } = require("./utils/socket"); // real-time forum updates
+const { startJobs } = require("./utils/jobs"); // lifecycle, expiry and email jobs stored in mongodb
 const app = express(); // initialise express app
 
 // cors middleware
@@ -15,8 +18,16 @@ app.use(
   }),
 );
 
-// parsing json bodies
-app.use(express.json());
+// parsing json bodies (raw body kept only for payment webhook signatures)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook/")) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 
 // cors for images 
 app.use(
@@ -33,7 +44,10 @@ app.use(
 // mongodb connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(() => {
+    console.log("MongoDB connected successfully");
+    startJobs().catch((err) => console.error("Job runner error:", err));
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // api routes
@@ -43,6 +57,12 @@ app.use("/api/events", require("./routes/events"));
 app.use("/api/clubs", require("./routes/clubs"));
 app.use("/api/discussions", require("./routes/discussions"));
 app.use("/api/feedback", require("./routes/feedback"));
+app.use("/api/teams", require("./routes/teams"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/payments", require("./routes/payments"));
+app.use("/api/refunds", require("./routes/refunds"));
+app.use("/api/coupons", require("./routes/coupons"));
+app.use("/api/venues", require("./routes/venues"));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -53,6 +73,8 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = http.createServer(app);
+initSocket(server);
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
@@ -0,0 +1,153 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeReference,
+  parseCsv,
+  parseStatement,
+  matchStatement,
+} = require("../utils/bankStatement");
+
+const event = { eventType: "normal", registrationFee: 500 };
+
+function registration(id, transactionReference, amountDue) {
+  return { _id: id, userId: `user-${id}`, transactionReference, amountDue };
+}
+
+test("normalizeReference ignores case, spaces and dashes", () => {
+  assert.equal(normalizeReference(" utr-1234 56 "), "UTR123456");
+  assert.equal(normalizeReference(undefined), "");
+});
+
+test("parseCsv keeps quoted commas, escaped quotes and newlines in one cell", () => {
+  const rows = parseCsv('a,"b, c","say ""hi""","two\nlines"\r\n\r\n1,2,3,4');
+  assert.deepEqual(rows, [
+    ["a", "b, c", 'say "hi"', "two\nlines"],
+    ["1", "2", "3", "4"],
+  ]);
+});
+
+test("parseStatement finds the header below account details and keeps credits only", () => {
+  const csv = [
+    "Account Statement,,,",
+    "Account No,1234567890,,",
+    "Txn Date,Narration,UTR No,Debit,Credit",
+    "01/03/2025,UPI/ALICE,UTR111111,,500.00",
+    '02/03/2025,"UPI/BOB, REFUND",UTR222222,250.00,',
+    '03/03/2025,UPI/CAROL,UTR333333,,"1,000.00"',
+  ].join("\n");
+
+  const { entries, error } = parseStatement(Buffer.from(csv));
+  assert.equal(error, undefined);
+  assert.deepEqual(entries, [
+    {
+      line: 4,
+      date: "01/03/2025",
+      reference: "UTR111111",
+      narration: "UPI/ALICE",
+      amount: 500,
+    },
+    {
+      line: 6,
+      date: "03/03/2025",
+      reference: "UTR333333",
+      narration: "UPI/CAROL",
+      amount: 1000,
+    },
+  ]);
+});
+
+test("parseStatement rejects files without an amount column", () => {
+  const { error } = parseStatement(Buffer.from("Date,Narration\n01/03,UPI"));
+  assert.match(error, /amount or credit column/);
+});
+
+test("matchStatement matches by reference, then inside the narration", () => {
+  const registrations = [
+    registration("r1", "UTR111111"),
+    registration("r2", "utr 222222"),
+    registration("r3", "UTR333333", 300),
+  ];
+  const entries = [
+    { line: 2, reference: "UTR-111111", narration: "", amount: 500 },
+    { line: 3, reference: "", narration: "UPI/UTR222222/BOB", amount: 500 },
+    { line: 4, reference: "UTR333333", narration: "", amount: 500 },
+  ];
+
+  const result = matchStatement(entries, registrations, event);
+  assert.deepEqual(
+    result.matched.map((m) => m.registrationId),
+    ["r1", "r2"],
+  );
+  assert.equal(result.amountMismatches.length, 1);
+  assert.equal(result.amountMismatches[0].registrationId, "r3");
+  assert.equal(result.amountMismatches[0].expectedAmount, 300);
+  assert.deepEqual(result.unmatchedRows, []);
+  assert.deepEqual(result.unmatchedRegistrations, []);
+});
+
+test("matchStatement reports unknown and repeated references and unpaid registrations", () => {
+  const registrations = [
+    registration("r1", "UTR111111"),
+    registration("r2", "UTR222222"),
+    registration("r3"),
+  ];
+  const entries = [
+    { line: 2, reference: "UTR111111", narration: "", amount: 500 },
+    { line: 3, reference: "UTR111111", narration: "", amount: 500 },
+    { line: 4, reference: "UTR999999", narration: "", amount: 500 },
+  ];
+
+  const result = matchStatement(entries, registrations, event);
+  assert.equal(result.matched.length, 1);
+  assert.deepEqual(
+    result.unmatchedRows.map((row) => [row.line, row.reason]),
+    [
+      [3, "Reference already matched on another row"],
+      [4, "No pending payment with this reference"],
+    ],
+  );
+  assert.deepEqual(
+    result.unmatchedRegistrations.map((r) => [
+      r.registrationId,
+      r.transactionReference,
+    ]),
+    [
+      ["r2", "UTR222222"],
+      ["r3", null],
+    ],
+  );
+});
+
+test("matchStatement leaves a reference shared by two registrations unmatched", () => {
+  const registrations = [
+    registration("r1", "UTR111111"),
+    registration("r2", "UTR-111111"),
+    registration("r3", "UTR333333"),
+  ];
+  const entries = [
+    { line: 2, reference: "UTR111111", narration: "", amount: 500 },
+    { line: 3, reference: "", narration: "UPI/UTR111111/ALICE", amount: 500 },
+    { line: 4, reference: "UTR333333", narration: "", amount: 500 },
+  ];
+
+  const result = matchStatement(entries, registrations, event);
+  assert.deepEqual(
+    result.matched.map((m) => m.registrationId),
+    ["r3"],
+  );
+  assert.deepEqual(
+    result.unmatchedRows.map((row) => [row.line, row.registrationIds]),
+    [
+      [2, ["r1", "r2"]],
+      [3, ["r1", "r2"]],
+    ],
+  );
+  assert.equal(
+    result.unmatchedRows[0].reason,
+    "Reference given on 2 pending payments",
+  );
+  assert.deepEqual(
+    result.unmatchedRegistrations.map((r) => r.registrationId),
+    ["r1", "r2"],
+  );
+});
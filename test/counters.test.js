@@ -0,0 +1,399 @@
+// Counter arithmetic for seats, stock, price tiers and coupons: every counter
+// moves through a conditional update, so these check that limits hold, buckets
+// move together and releases never go below zero.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Event = require("../models/event");
+const Coupon = require("../models/coupon");
+const {
+  getSeatsTaken,
+  reserveSeats,
+  reserveSeat,
+  claimSeat,
+  confirmSeat,
+  releaseSeat,
+} = require("../utils/seatManager");
+const {
+  reserveOrderStock,
+  sellOrderStock,
+  commitOrderStock,
+  releaseOrderStock,
+} = require("../utils/inventory");
+const {
+  claimPrice,
+  assignPrice,
+  releaseTierSlot,
+} = require("../utils/pricing");
+const {
+  redeemCoupon,
+  releaseCoupon,
+  releaseRegistrationCoupon,
+} = require("../utils/coupons");
+const { mockCollection } = require("./helpers/fakeCollection");
+
+const HOUR = 60 * 60 * 1000;
+
+// a normal event starting in a week with 5 seats
+function seatEvent(t, fields = {}) {
+  const event = {
+    _id: "event-1",
+    eventType: "normal",
+    registrationLimit: 5,
+    totalRegistrations: 0,
+    reservedSeats: 0,
+    eventStartDate: new Date(Date.now() + 7 * 24 * HOUR),
+    ...fields,
+  };
+  mockCollection(t, Event, [event]);
+  return event;
+}
+
+// a merchandise event with variant id -> available stock
+function merchEvent(t, stock = { S: 3, M: 10 }) {
+  const event = {
+    _id: "event-1",
+    eventType: "merchandise",
+    merchandiseDetails: {
+      variants: Object.entries(stock).map(([variantId, stockQuantity]) => ({
+        variantId,
+        stockQuantity,
+        reservedQuantity: 0,
+        soldQuantity: 0,
+      })),
+    },
+  };
+  mockCollection(t, Event, [event]);
+  return event;
+}
+
+// [stock, reserved, sold] of one variant
+function buckets(event, variantId) {
+  const variant = event.merchandiseDetails.variants.find(
+    (v) => v.variantId === variantId,
+  );
+  return [
+    variant.stockQuantity,
+    variant.reservedQuantity,
+    variant.soldQuantity,
+  ];
+}
+
+async function repeat(times, fn) {
+  const results = [];
+  for (let i = 0; i < times; i++) results.push(await fn());
+  return results;
+}
+
+// seats
+
+test("claimSeat stops at the registration limit", async (t) => {
+  const event = seatEvent(t);
+  const results = await repeat(7, () => claimSeat(event, {}));
+  assert.deepEqual(results, [true, true, true, true, true, false, false]);
+  assert.equal(event.totalRegistrations, 5);
+});
+
+test("reserved and confirmed seats share the limit, unlimited events never fill", async (t) => {
+  const event = seatEvent(t, { registrationLimit: 3 });
+  assert.equal(await reserveSeat(event, {}), true);
+  assert.equal(await reserveSeat(event, {}), true);
+  assert.equal(await claimSeat(event, {}), true);
+  assert.equal(await claimSeat(event, {}), false);
+  assert.equal(await reserveSeat(event, {}), false);
+  assert.equal(getSeatsTaken(event), 3);
+
+  const unlimited = seatEvent(t, { registrationLimit: null });
+  await repeat(20, () => claimSeat(unlimited, {}));
+  assert.equal(unlimited.totalRegistrations, 20);
+});
+
+test("reserveSeats takes a whole team's seats or none", async (t) => {
+  const event = seatEvent(t, { registrationLimit: 4, totalRegistrations: 2 });
+  const team = [{}, {}, {}];
+
+  assert.equal(await reserveSeats(event, team), false);
+  assert.equal(event.reservedSeats, 0);
+  assert.ok(team.every((r) => r.seatStatus === undefined));
+
+  assert.equal(await reserveSeats(event, team.slice(0, 2)), true);
+  assert.equal(event.reservedSeats, 2);
+});
+
+test("reserved seats on normal events get a hold deadline capped at the event start", async (t) => {
+  const event = seatEvent(t, { seatHoldHours: 24 });
+  const registration = {};
+  const before = Date.now();
+  await reserveSeat(event, registration);
+  const holdMs = registration.seatHoldExpiresAt.getTime() - before;
+  assert.ok(holdMs >= 24 * HOUR - 1000 && holdMs <= 24 * HOUR + 1000);
+
+  const startsSoon = seatEvent(t, {
+    seatHoldHours: 24,
+    eventStartDate: new Date(Date.now() + 2 * HOUR),
+  });
+  const late = {};
+  await reserveSeat(startsSoon, late);
+  assert.equal(
+    late.seatHoldExpiresAt.getTime(),
+    startsSoon.eventStartDate.getTime(),
+  );
+
+  const merchandise = seatEvent(t, { eventType: "merchandise" });
+  const order = {};
+  await reserveSeat(merchandise, order);
+  assert.equal(order.seatHoldExpiresAt, undefined);
+});
+
+test("confirmSeat moves a reserved seat to confirmed once", async (t) => {
+  const event = seatEvent(t);
+  const registration = {};
+  await reserveSeat(event, registration);
+
+  await confirmSeat(event, registration);
+  await confirmSeat(event, registration);
+  assert.equal(event.reservedSeats, 0);
+  assert.equal(event.totalRegistrations, 1);
+  assert.equal(registration.seatStatus, "confirmed");
+  assert.equal(registration.seatHoldExpiresAt, undefined);
+});
+
+test("confirmSeat counts registrations from before seat tracking", async (t) => {
+  const event = seatEvent(t, { totalRegistrations: 5 });
+  const legacy = { paymentApprovalStatus: "pending" };
+
+  // counted even on a full event: the seat was promised before tracking existed
+  await confirmSeat(event, legacy);
+  assert.equal(event.totalRegistrations, 6);
+  assert.equal(legacy.seatStatus, "confirmed");
+});
+
+test("releaseSeat frees reserved and confirmed seats once and never below zero", async (t) => {
+  const event = seatEvent(t);
+  const pending = {};
+  const confirmed = {};
+  await reserveSeat(event, pending);
+  await claimSeat(event, confirmed);
+
+  for (const registration of [pending, confirmed, pending, confirmed]) {
+    await releaseSeat(event, registration);
+  }
+  assert.equal(event.reservedSeats, 0);
+  assert.equal(event.totalRegistrations, 0);
+  assert.equal(pending.seatStatus, "released");
+  assert.equal(confirmed.seatStatus, "released");
+
+  await releaseSeat(event, { seatStatus: "confirmed" });
+  assert.equal(event.totalRegistrations, 0);
+});
+
+// merchandise stock
+
+test("reserveOrderStock stops when a variant runs out", async (t) => {
+  const event = merchEvent(t);
+  const results = await repeat(5, () =>
+    reserveOrderStock(event._id, [{ variantId: "S", quantity: 1 }]),
+  );
+  assert.deepEqual(results, [true, true, true, false, false]);
+  assert.deepEqual(buckets(event, "S"), [0, 3, 0]);
+});
+
+test("a multi-item order is rolled back when one line runs out", async (t) => {
+  const event = merchEvent(t);
+  const items = [
+    { variantId: "M", quantity: 4 },
+    { variantId: "S", quantity: 5 },
+  ];
+
+  assert.equal(await reserveOrderStock(event._id, items), false);
+  assert.deepEqual(buckets(event, "M"), [10, 0, 0]);
+  assert.deepEqual(buckets(event, "S"), [3, 0, 0]);
+});
+
+test("sellOrderStock takes available stock straight to sold", async (t) => {
+  const event = merchEvent(t);
+  const items = [{ variantId: "M", quantity: 2 }];
+  assert.equal(await sellOrderStock(event._id, items), true);
+  assert.deepEqual(buckets(event, "M"), [8, 0, 2]);
+});
+
+test("commitOrderStock turns a reservation into a sale once", async (t) => {
+  const event = merchEvent(t);
+  const items = [{ variantId: "M", quantity: 2 }];
+  await reserveOrderStock(event._id, items);
+  const registration = {
+    merchandiseOrder: {
+      items,
+      stockStatus: "reserved",
+      reservationExpiresAt: new Date(),
+    },
+  };
+
+  await commitOrderStock(event, registration);
+  await commitOrderStock(event, registration);
+  assert.deepEqual(buckets(event, "M"), [8, 0, 2]);
+  assert.equal(registration.merchandiseOrder.stockStatus, "sold");
+  assert.equal(registration.merchandiseOrder.reservationExpiresAt, undefined);
+});
+
+test("commitOrderStock takes legacy selections from available stock only", async (t) => {
+  const event = merchEvent(t);
+  t.mock.method(console, "error", () => {});
+
+  await commitOrderStock(event, {
+    merchandiseSelection: { variantId: "S", quantity: 2 },
+  });
+  assert.deepEqual(buckets(event, "S"), [1, 0, 2]);
+
+  await commitOrderStock(event, {
+    merchandiseSelection: { variantId: "S", quantity: 2 },
+  });
+  assert.deepEqual(buckets(event, "S"), [1, 0, 2]);
+});
+
+test("commitOrderStock never sells a released order", async (t) => {
+  const event = merchEvent(t);
+  const released = {
+    merchandiseOrder: {
+      items: [{ variantId: "S", quantity: 1 }],
+      stockStatus: "released",
+    },
+  };
+  await commitOrderStock(event, released);
+  assert.deepEqual(buckets(event, "S"), [3, 0, 0]);
+  assert.equal(released.merchandiseOrder.stockStatus, "released");
+});
+
+test("releaseOrderStock returns reserved and sold stock exactly once", async (t) => {
+  const event = merchEvent(t);
+  const reservedItems = [{ variantId: "S", quantity: 2 }];
+  const soldItems = [{ variantId: "M", quantity: 3 }];
+  await reserveOrderStock(event._id, reservedItems);
+  await sellOrderStock(event._id, soldItems);
+  const reserved = {
+    merchandiseOrder: { items: reservedItems, stockStatus: "reserved" },
+  };
+  const sold = { merchandiseOrder: { items: soldItems, stockStatus: "sold" } };
+
+  for (const registration of [reserved, sold, reserved, sold]) {
+    await releaseOrderStock(event, registration);
+  }
+  assert.deepEqual(buckets(event, "S"), [3, 0, 0]);
+  assert.deepEqual(buckets(event, "M"), [10, 0, 0]);
+  assert.equal(reserved.merchandiseOrder.stockStatus, "released");
+  assert.equal(sold.merchandiseOrder.stockStatus, "released");
+});
+
+test("releaseOrderStock only restocks legacy orders that held a seat", async (t) => {
+  const event = merchEvent(t, { S: 1 });
+  const legacy = { merchandiseSelection: { variantId: "S", quantity: 1 } };
+
+  await releaseOrderStock(event, legacy);
+  assert.deepEqual(buckets(event, "S"), [1, 0, 0]);
+  await releaseOrderStock(event, legacy, true);
+  assert.deepEqual(buckets(event, "S"), [2, 0, 0]);
+});
+
+test("stock on non-merchandise events is left alone", async (t) => {
+  const event = merchEvent(t);
+  event.eventType = "normal";
+  const registration = {
+    merchandiseOrder: {
+      items: [{ variantId: "M", quantity: 1 }],
+      stockStatus: "reserved",
+    },
+  };
+
+  await commitOrderStock(event, registration);
+  await releaseOrderStock(event, registration, true);
+  assert.deepEqual(buckets(event, "M"), [10, 0, 0]);
+  assert.equal(registration.merchandiseOrder.stockStatus, "reserved");
+});
+
+// price tier quotas
+
+test("claimPrice moves on to the next tier once a quota is sold", async (t) => {
+  const event = {
+    _id: "event-1",
+    registrationFee: 800,
+    priceTiers: [
+      { _id: "early", name: "Early bird", price: 300, quota: 2, soldCount: 0 },
+      { _id: "regular", name: "Regular", price: 500, quota: 1, soldCount: 0 },
+    ],
+  };
+  const store = mockCollection(t, Event, [structuredClone(event)]);
+
+  // the caller's copy still shows every tier open
+  const prices = await repeat(4, () => claimPrice(event, { isIIITian: false }));
+  assert.deepEqual(
+    prices.map((p) => p.price),
+    [300, 300, 500, 800],
+  );
+  assert.equal(prices[3].tier, null);
+  const [early, regular] = store.docs[0].priceTiers;
+  assert.equal(early.soldCount, 2);
+  assert.equal(regular.soldCount, 1);
+});
+
+test("releaseTierSlot gives the slot back once and clears the tier", async (t) => {
+  const event = {
+    _id: "event-1",
+    registrationFee: 800,
+    priceTiers: [
+      { _id: "early", name: "Early bird", price: 300, quota: 2, soldCount: 0 },
+    ],
+  };
+  const store = mockCollection(t, Event, [structuredClone(event)]);
+
+  const registration = { eventId: "event-1" };
+  assert.equal(
+    await assignPrice(event, registration, { isIIITian: false }),
+    300,
+  );
+  assert.equal(registration.priceTierId, "early");
+  assert.equal(registration.priceTierName, "Early bird");
+  assert.equal(store.docs[0].priceTiers[0].soldCount, 1);
+
+  await releaseTierSlot(registration);
+  await releaseTierSlot(registration);
+  assert.equal(registration.priceTierId, undefined);
+  assert.equal(store.docs[0].priceTiers[0].soldCount, 0);
+});
+
+// coupon usage
+
+test("redeemCoupon stops at the usage limit and has no ceiling without one", async (t) => {
+  const limited = { _id: "coupon-1", usageLimit: 3, usedCount: 0 };
+  const unlimited = { _id: "coupon-2", usageLimit: null, usedCount: 41 };
+  mockCollection(t, Coupon, [limited, unlimited]);
+
+  const results = await repeat(5, () => redeemCoupon(limited));
+  assert.deepEqual(results, [true, true, true, false, false]);
+  assert.equal(limited.usedCount, 3);
+
+  assert.equal(await redeemCoupon(unlimited), true);
+  assert.equal(unlimited.usedCount, 42);
+});
+
+test("releaseCoupon never takes usedCount below zero", async (t) => {
+  const coupon = { _id: "coupon-1", usedCount: 1 };
+  mockCollection(t, Coupon, [coupon]);
+
+  await releaseCoupon("coupon-1");
+  await releaseCoupon("coupon-1");
+  assert.equal(coupon.usedCount, 0);
+});
+
+test("releaseRegistrationCoupon gives a registration's use back only once", async (t) => {
+  const coupon = { _id: "coupon-1", usedCount: 2 };
+  mockCollection(t, Coupon, [coupon]);
+
+  const registration = { couponId: "coupon-1" };
+  await releaseRegistrationCoupon(registration);
+  await releaseRegistrationCoupon(registration);
+  assert.equal(coupon.usedCount, 1);
+  assert.ok(registration.couponReleasedAt instanceof Date);
+  assert.equal(registration.couponId, "coupon-1");
+
+  await releaseRegistrationCoupon({});
+  assert.equal(coupon.usedCount, 1);
+});
@@ -0,0 +1,13 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeDiscount } = require("../utils/coupons");
+
+test("computeDiscount caps percentages at maxDiscount and never exceeds the amount", () => {
+  const percent = { discountType: "percentage", discountValue: 15 };
+  assert.equal(computeDiscount(percent, 999), 149.85);
+  assert.equal(computeDiscount({ ...percent, maxDiscount: 100 }, 999), 100);
+
+  const flat = { discountType: "flat", discountValue: 250 };
+  assert.equal(computeDiscount(flat, 1000), 250);
+  assert.equal(computeDiscount(flat, 200), 200);
+});
@@ -0,0 +1,146 @@
+// in-memory stand-in for Model.updateOne and findOneAndUpdate, covering the
+// filters and updates the counters and claims in utils/ use ($or, $expr,
+// $elemMatch, comparisons, $set and $inc with the positional $).
+// Each update is applied in full before the next one, so tests built on it check
+// the counter arithmetic and filters, not behaviour under concurrent writes.
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+const same = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  return a.toString() === b.toString();
+};
+
+// values at a dotted path, stepping into arrays; each value remembers the
+// index of the first array it went through (for the positional $)
+function resolve(doc, path, index = null) {
+  if (path.length === 0) return [{ value: doc, index }];
+  if (Array.isArray(doc)) {
+    return doc.flatMap((item, i) => resolve(item, path, index ?? i));
+  }
+  if (doc == null || typeof doc !== "object") return [{ value: undefined }];
+  const [key, ...rest] = path;
+  return resolve(doc[key], rest, index);
+}
+
+function evaluate(expr, doc) {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return resolve(doc, expr.slice(1).split("."))[0].value;
+  }
+  if (!isOperatorObject(expr)) return expr;
+  const [[op, args]] = Object.entries(expr);
+  const values = args.map((arg) => evaluate(arg, doc));
+  switch (op) {
+    case "$add":
+      return values.reduce((sum, v) => sum + v, 0);
+    case "$ifNull":
+      return values.find((v) => v != null) ?? null;
+    case "$lt":
+      return values[0] < values[1];
+    case "$lte":
+      return values[0] <= values[1];
+    default:
+      throw new Error(`Unsupported expression ${op}`);
+  }
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return same(value, condition);
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case "$gt":
+        return value > arg;
+      case "$gte":
+        return value >= arg;
+      case "$lt":
+        return value < arg;
+      case "$ne":
+        return !same(value, arg);
+      case "$in":
+        return arg.some((item) => same(value, item));
+      case "$nin":
+        return !arg.some((item) => same(value, item));
+      default:
+        throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+}
+
+// returns { matched, index } where index is the array position a positional $ refers to
+function matchDoc(doc, filter) {
+  let positional = null;
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === "$or") {
+      if (!condition.some((branch) => matchDoc(doc, branch).matched)) {
+        return { matched: false };
+      }
+    } else if (key === "$expr") {
+      if (!evaluate(condition, doc)) return { matched: false };
+    } else if (condition && condition.$elemMatch) {
+      const array = resolve(doc, key.split("."))[0].value || [];
+      const index = array.findIndex((item) =>
+        Object.entries(condition.$elemMatch).every(([field, inner]) =>
+          matchesCondition(item[field], inner),
+        ),
+      );
+      if (index === -1) return { matched: false };
+      positional = index;
+    } else {
+      const hit = resolve(doc, key.split(".")).find(({ value }) =>
+        matchesCondition(value, condition),
+      );
+      if (!hit) return { matched: false };
+      if (hit.index != null) positional = hit.index;
+    }
+  }
+  return { matched: true, index: positional };
+}
+
+function applyInc(doc, path, amount, index) {
+  const keys = path.split(".").map((key) => (key === "$" ? index : key));
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => node[key], doc);
+  target[last] = (target[last] || 0) + amount;
+}
+
+// docs are plain objects with an _id; the store mutates them in place
+function createStore(docs) {
+  // updates the first matching doc, returns it as it was before the update
+  function apply(filter, update) {
+    for (const doc of docs) {
+      const { matched, index } = matchDoc(doc, filter);
+      if (!matched) continue;
+      const before = structuredClone(doc);
+      Object.assign(doc, update.$set);
+      for (const [path, amount] of Object.entries(update.$inc || {})) {
+        applyInc(doc, path, amount, index);
+      }
+      return before;
+    }
+    return null;
+  }
+
+  async function updateOne(filter, update) {
+    const count = apply(filter, update) ? 1 : 0;
+    return { matchedCount: count, modifiedCount: count };
+  }
+
+  async function findOneAndUpdate(filter, update) {
+    return apply(filter, update);
+  }
+  return { docs, updateOne, findOneAndUpdate };
+}
+
+// backs Model.updateOne and findOneAndUpdate with the given docs for one test
+function mockCollection(t, Model, docs) {
+  const store = createStore(docs);
+  t.mock.method(Model, "updateOne", store.updateOne);
+  t.mock.method(Model, "findOneAndUpdate", store.findOneAndUpdate);
+  return store;
+}
+
+module.exports = { mockCollection };
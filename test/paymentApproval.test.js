@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Registration = require("../models/registration");
+const { approvePayment } = require("../utils/paymentApproval");
+const { rejectPendingApprovals } = require("../utils/seatManager");
+const { mockCollection } = require("./helpers/fakeCollection");
+
+test("a registration cancelled while its payment was pending can't be approved", async (t) => {
+  const registration = {
+    _id: "registration-1",
+    status: "pending_approval",
+    paymentApprovalStatus: "pending",
+    registrationApprovalStatus: "pending",
+  };
+  mockCollection(t, Registration, [registration]);
+
+  // what cancel-registration does before saving
+  registration.status = "cancelled";
+  rejectPendingApprovals(registration, "Cancelled by participant");
+
+  const approval = await approvePayment({ _id: "event-1" }, registration, {
+    method: "manual",
+  });
+  assert.equal(approval, null);
+  assert.equal(registration.paymentApprovalStatus, "rejected");
+  assert.equal(registration.registrationApprovalStatus, "rejected");
+  assert.equal(registration.paymentRejectionReason, "Cancelled by participant");
+  assert.equal(registration.ticketId, undefined);
+});
+
+test("rejectPendingApprovals leaves settled approvals alone", () => {
+  const registration = {
+    paymentApprovalStatus: "approved",
+    registrationApprovalStatus: "not_required",
+  };
+  rejectPendingApprovals(registration, "Event cancelled");
+  assert.equal(registration.paymentApprovalStatus, "approved");
+  assert.equal(registration.registrationApprovalStatus, "not_required");
+  assert.equal(registration.paymentRejectionReason, undefined);
+});
+
+test("approvePayment refuses cancelled registrations even if the payment still looks pending", async (t) => {
+  // e.g. cancelled before pending approvals were rejected on cancellation
+  const registration = {
+    _id: "registration-1",
+    status: "cancelled",
+    paymentApprovalStatus: "pending",
+  };
+  mockCollection(t, Registration, [registration]);
+
+  const approval = await approvePayment({ _id: "event-1" }, registration, {
+    method: "online",
+  });
+  assert.equal(approval, null);
+  assert.equal(registration.paymentApprovalStatus, "pending");
+  assert.equal(registration.ticketId, undefined);
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getOpenTiers, previewPrice } = require("../utils/pricing");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2025-03-01T10:00:00Z");
+const iiitian = { isIIITian: true };
+const external = { isIIITian: false };
+
+function makeEvent(priceTiers) {
+  return { _id: "event-1", registrationFee: 800, priceTiers };
+}
+
+test("getOpenTiers applies the date window, eligibility and quota", () => {
+  const event = makeEvent([
+    { _id: "early", price: 300, endsAt: new Date(now - DAY) },
+    { _id: "future", price: 350, startsAt: new Date(now.getTime() + DAY) },
+    { _id: "students", price: 400, eligibility: "iiitans" },
+    { _id: "guests", price: 600, eligibility: "external" },
+    { _id: "sold-out", price: 450, quota: 10, soldCount: 10 },
+    { _id: "regular", price: 700, quota: 10, soldCount: 9 },
+  ]);
+
+  const ids = (user) => getOpenTiers(event, user, now).map((t) => t._id);
+  assert.deepEqual(ids(iiitian), ["students", "regular"]);
+  assert.deepEqual(ids(external), ["guests", "regular"]);
+});
+
+test("previewPrice picks the cheapest open tier and falls back to the fee", () => {
+  const event = makeEvent([
+    { _id: "regular", price: 700 },
+    { _id: "students", price: 400, eligibility: "iiitans" },
+  ]);
+  assert.equal(previewPrice(event, iiitian).price, 400);
+  assert.equal(previewPrice(event, external).price, 700);
+  assert.deepEqual(previewPrice(makeEvent([]), external), {
+    tier: null,
+    price: 800,
+  });
+});
@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const {
+  computePerceptualHash,
+  hammingDistance,
+  getHashBands,
+  fingerprintProof,
+} = require("../utils/proofFingerprint");
+
+// draws a width x height RGBA image from a (x, y) -> gray level function
+function drawImage(width, height, shade) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const level = shade(x / width, y / height);
+      data[i] = level;
+      data[i + 1] = level;
+      data[i + 2] = level;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function toPng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+function toJpeg(image, quality) {
+  return jpeg.encode(image, quality).data;
+}
+
+// a made-up "screenshot": diagonal waves, and an unrelated picture that
+// gets darker from left to right
+const screenshot = (x, y) => Math.round(128 + 100 * Math.sin(x * 12 + y * 5));
+const otherPicture = (x) => Math.round((1 - x) * 200 + 30);
+
+test("hammingDistance counts differing bits of two hex hashes", () => {
+  assert.equal(hammingDistance("0000000000000000", "0000000000000000"), 0);
+  assert.equal(hammingDistance("0000000000000000", "000000000000000f"), 4);
+  assert.equal(hammingDistance("ffffffffffffffff", "0000000000000000"), 64);
+  assert.equal(hammingDistance("8000000000000001", "0000000000000000"), 2);
+});
+
+test("computePerceptualHash returns 16 hex characters for png and jpeg", () => {
+  const image = drawImage(120, 200, screenshot);
+  assert.match(computePerceptualHash(toPng(image)), /^[0-9a-f]{16}$/);
+  assert.match(computePerceptualHash(toJpeg(image, 90)), /^[0-9a-f]{16}$/);
+});
+
+test("computePerceptualHash survives re-encoding and resizing", () => {
+  const original = computePerceptualHash(
+    toPng(drawImage(120, 200, screenshot)),
+  );
+  const recompressed = computePerceptualHash(
+    toJpeg(drawImage(120, 200, screenshot), 40),
+  );
+  const resized = computePerceptualHash(toPng(drawImage(60, 100, screenshot)));
+
+  assert.ok(hammingDistance(original, recompressed) <= 6);
+  assert.ok(hammingDistance(original, resized) <= 6);
+});
+
+test("computePerceptualHash tells different pictures apart", () => {
+  const a = computePerceptualHash(toPng(drawImage(120, 200, screenshot)));
+  const b = computePerceptualHash(toPng(drawImage(120, 200, otherPicture)));
+  assert.ok(hammingDistance(a, b) > 6);
+});
+
+test("computePerceptualHash throws on files that are not images", () => {
+  assert.throws(() => computePerceptualHash(Buffer.from("not an image")));
+});
+
+test("computePerceptualHash refuses images over the size limit before decoding", () => {
+  const image = drawImage(40, 30, screenshot);
+
+  // claim 4000x3000 in the png header and the jpeg frame header
+  const png = toPng(image);
+  png.writeUInt32BE(4000, 16);
+  png.writeUInt32BE(3000, 20);
+  assert.throws(() => computePerceptualHash(png), /megapixels/);
+
+  const jpg = toJpeg(image, 90);
+  const frame = jpg.indexOf(Buffer.from([0xff, 0xc0]));
+  jpg.writeUInt16BE(3000, frame + 5);
+  jpg.writeUInt16BE(4000, frame + 7);
+  assert.throws(() => computePerceptualHash(jpg), /maxResolutionInMP/);
+});
+
+test("fingerprintProof hashes the file off the main thread", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const png = toPng(drawImage(120, 200, screenshot));
+  fs.writeFileSync(path.join(dir, "proof.png"), png);
+  fs.writeFileSync(path.join(dir, "notes.png"), "not an image");
+
+  const proof = await fingerprintProof(path.join(dir, "proof.png"));
+  assert.equal(proof.perceptualHash, computePerceptualHash(png));
+  assert.match(proof.contentHash, /^[0-9a-f]{64}$/);
+  assert.deepEqual(proof.hashBands, getHashBands(proof.perceptualHash));
+
+  t.mock.method(console, "error", () => {});
+  const broken = await fingerprintProof(path.join(dir, "notes.png"));
+  assert.equal(broken.perceptualHash, null);
+  assert.deepEqual(broken.hashBands, []);
+});
+
+test("getHashBands splits a hash into 8 positioned bytes", () => {
+  assert.deepEqual(getHashBands("0123456789abcdef"), [
+    "0:01",
+    "1:23",
+    "2:45",
+    "3:67",
+    "4:89",
+    "5:ab",
+    "6:cd",
+    "7:ef",
+  ]);
+  assert.deepEqual(getHashBands(null), []);
+});
+
+test("hashes within the similarity threshold always share a band", () => {
+  const hash = "0123456789abcdef";
+  // flip 6 bits, each in a different band
+  let flipped = BigInt(`0x${hash}`);
+  for (const bit of [0, 9, 18, 27, 36, 45]) {
+    flipped ^= 1n << BigInt(bit);
+  }
+  const near = flipped.toString(16).padStart(16, "0");
+
+  assert.equal(hammingDistance(hash, near), 6);
+  const shared = getHashBands(hash).filter((band) =>
+    getHashBands(near).includes(band),
+  );
+  assert.equal(shared.length, 2);
+});
@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { holdsSeat } = require("../utils/seatManager");
+
+test("holdsSeat works out legacy registrations from their payment and approval state", () => {
+  assert.equal(holdsSeat({ seatStatus: "reserved" }), false);
+  assert.equal(holdsSeat({ seatStatus: "confirmed" }), true);
+  assert.equal(
+    holdsSeat({ status: "waitlisted", paymentApprovalStatus: "approved" }),
+    false,
+  );
+  assert.equal(holdsSeat({ paymentApprovalStatus: "approved" }), true);
+  assert.equal(holdsSeat({ paymentApprovalStatus: "pending" }), false);
+  assert.equal(
+    holdsSeat({
+      paymentApprovalStatus: "not_required",
+      registrationApprovalStatus: "not_required",
+    }),
+    true,
+  );
+  assert.equal(
+    holdsSeat({
+      paymentApprovalStatus: "not_required",
+      registrationApprovalStatus: "pending",
+    }),
+    false,
+  );
+});
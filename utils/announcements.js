@@ -0,0 +1,57 @@
+const Discussion = require("../models/discussion");
+const Event = require("../models/event");
+const { scheduleJob, cancelJob } = require("./jobRunner");
+const { emitToForum } = require("./socket");
+const { notifyEventParticipants } = require("./notifications");
+
+function announcementJobKey(discussionId) {
+  return `announcement:${discussionId}`;
+}
+
+// pushes a freshly posted announcement to the forum and every participant
+async function broadcastAnnouncement(discussion, event) {
+  emitToForum(event._id, "discussion:created", { discussion });
+  await notifyEventParticipants(event._id, {
+    type: "announcement",
+    title: `Announcement: ${event.name}`,
+    message: discussion.message,
+    discussionId: discussion._id,
+  });
+}
+
+// queues (or moves) the job that posts a scheduled announcement
+function scheduleAnnouncement(discussion) {
+  return scheduleJob("send-announcement", {
+    key: announcementJobKey(discussion._id),
+    runAt: discussion.scheduledAt,
+    payload: { discussionId: discussion._id.toString() },
+  });
+}
+
+function cancelAnnouncement(discussionId) {
+  return cancelJob(announcementJobKey(discussionId));
+}
+
+// job handler: posts a scheduled announcement once its time has come,
+// createdAt is reset so it sorts as if it was written now
+async function postScheduledAnnouncement({ discussionId }) {
+  const now = new Date();
+  const discussion = await Discussion.findOneAndUpdate(
+    { _id: discussionId, scheduledAt: { $lte: now }, deletedAt: null },
+    { $set: { scheduledAt: null, createdAt: now } },
+    { new: true, overwriteImmutable: true },
+  ).populate("authorId", "firstName lastName name email");
+  if (!discussion) return { posted: false };
+
+  const event = await Event.findById(discussion.eventId);
+  if (!event) return { posted: false };
+  await broadcastAnnouncement(discussion, event);
+  return { posted: true };
+}
+
+module.exports = {
+  broadcastAnnouncement,
+  scheduleAnnouncement,
+  cancelAnnouncement,
+  postScheduledAnnouncement,
+};
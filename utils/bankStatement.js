@@ -0,0 +1,203 @@
+const { getRegistrationAmount } = require("./paymentApproval");
+
+// UTRs and bank references compared without spaces, dashes or case
+function normalizeReference(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// splits csv text into rows of cells, honouring quoted cells with commas/newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some((c) => c !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some((c) => c !== "")) rows.push(row);
+  return rows;
+}
+
+// finds the first header cell matching any of the patterns
+function findColumn(headers, patterns) {
+  for (const pattern of patterns) {
+    const index = headers.findIndex((h) => pattern.test(h));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function parseAmount(value) {
+  const amount = Number.parseFloat(
+    String(value || "").replace(/[^0-9.-]/g, ""),
+  );
+  return Number.isFinite(amount) ? amount : null;
+}
+
+// turns a bank statement csv into credit rows { line, date, reference, narration, amount }
+// column names differ between banks, so headers are matched loosely
+function parseStatement(buffer) {
+  const rows = parseCsv(buffer.toString("utf8"));
+
+  // banks often put account details above the real header row
+  const headerIndex = rows.findIndex((cells) =>
+    cells.some((c) => /amount|credit|deposit/i.test(c)),
+  );
+  if (headerIndex === -1) {
+    return {
+      error: "Could not find an amount or credit column in the statement",
+    };
+  }
+
+  const headers = rows[headerIndex].map((h) => h.toLowerCase());
+  const columns = {
+    date: findColumn(headers, [/date/]),
+    reference: findColumn(headers, [
+      /utr/,
+      /ref(erence)?\.?\s*(no|number|id)?/,
+      /(transaction|txn)\s*id/,
+      /cheque/,
+    ]),
+    narration: findColumn(headers, [
+      /narration/,
+      /description/,
+      /particulars/,
+      /remarks/,
+      /details/,
+    ]),
+    amount: findColumn(headers, [/credit/, /deposit/, /\bcr\b/, /amount/]),
+  };
+
+  const entries = [];
+  rows.slice(headerIndex + 1).forEach((cells, offset) => {
+    const amount = parseAmount(cells[columns.amount]);
+    // debit-only rows have no credit amount
+    if (amount === null || amount <= 0) return;
+    entries.push({
+      line: headerIndex + offset + 2,
+      date: columns.date !== -1 ? cells[columns.date] : undefined,
+      reference: columns.reference !== -1 ? cells[columns.reference] : "",
+      narration: columns.narration !== -1 ? cells[columns.narration] : "",
+      amount,
+    });
+  });
+  return { entries };
+}
+
+// matches statement credits to pending registrations by UTR, then checks the amount
+// UTRs are looked up in the reference column first and inside the narration otherwise
+// a UTR given on more than one registration matches none of them, the organizer decides
+function matchStatement(entries, registrations, event) {
+  const byReference = new Map();
+  for (const registration of registrations) {
+    const reference = normalizeReference(registration.transactionReference);
+    if (!reference) continue;
+    if (!byReference.has(reference)) byReference.set(reference, []);
+    byReference.get(reference).push(registration);
+  }
+
+  const matched = [];
+  const amountMismatches = [];
+  const unmatchedRows = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    let candidates = byReference.get(normalizeReference(entry.reference));
+    if (!candidates && entry.narration) {
+      const narration = normalizeReference(entry.narration);
+      for (const [reference, list] of byReference) {
+        if (reference.length >= 6 && narration.includes(reference)) {
+          candidates = list;
+          break;
+        }
+      }
+    }
+
+    if (!candidates) {
+      unmatchedRows.push({
+        ...entry,
+        reason: "No pending payment with this reference",
+      });
+      continue;
+    }
+    if (candidates.length > 1) {
+      unmatchedRows.push({
+        ...entry,
+        reason: `Reference given on ${candidates.length} pending payments`,
+        registrationIds: candidates.map((r) => r._id),
+      });
+      continue;
+    }
+    const [registration] = candidates;
+
+    const id = registration._id.toString();
+    if (seen.has(id)) {
+      unmatchedRows.push({
+        ...entry,
+        reason: "Reference already matched on another row",
+      });
+      continue;
+    }
+    seen.add(id);
+
+    const expected = getRegistrationAmount(event, registration);
+    const result = {
+      registrationId: registration._id,
+      user: registration.userId,
+      transactionReference: registration.transactionReference,
+      expectedAmount: expected,
+      statement: entry,
+    };
+    if (Math.abs(entry.amount - expected) < 0.01) {
+      matched.push(result);
+    } else {
+      amountMismatches.push(result);
+    }
+  }
+
+  const unmatchedRegistrations = registrations
+    .filter((r) => !seen.has(r._id.toString()))
+    .map((r) => ({
+      registrationId: r._id,
+      user: r.userId,
+      transactionReference: r.transactionReference || null,
+      expectedAmount: getRegistrationAmount(event, r),
+    }));
+
+  return { matched, amountMismatches, unmatchedRows, unmatchedRegistrations };
+}
+
+module.exports = {
+  normalizeReference,
+  parseCsv,
+  parseStatement,
+  matchStatement,
+};
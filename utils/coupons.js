@@ -0,0 +1,115 @@
+const Coupon = require("../models/coupon");
+const Club = require("../models/club");
+const Registration = require("../models/registration");
+
+// discount a coupon gives on an amount, never more than the amount itself
+function computeDiscount(coupon, amount) {
+  let discount =
+    coupon.discountType === "percentage"
+      ? (amount * coupon.discountValue) / 100
+      : coupon.discountValue;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.min(amount, Math.round(discount * 100) / 100);
+}
+
+// checks a code against the event and participant, returns { coupon, discountAmount } or { error }
+async function validateCoupon(code, event, user, amount) {
+  if (!code || typeof code !== "string") {
+    return { error: "Coupon code is required" };
+  }
+
+  const coupon = await Coupon.findOne({
+    clubId: event.organizerId,
+    code: code.trim().toUpperCase(),
+  });
+  if (!coupon || !coupon.isActive) {
+    return { error: "Invalid coupon code" };
+  }
+  if (coupon.eventId && coupon.eventId.toString() !== event._id.toString()) {
+    return { error: "This coupon is not valid for this event" };
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return { error: "This coupon is not active yet" };
+  }
+  if (coupon.expiresAt && now > coupon.expiresAt) {
+    return { error: "This coupon has expired" };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has reached its usage limit" };
+  }
+
+  // Eligibility filters
+  if (coupon.eligibility === "iiitans" && !user.isIIITian) {
+    return { error: "This coupon is only for IIITians" };
+  }
+  if (coupon.eligibility === "external" && user.isIIITian) {
+    return { error: "This coupon is only for external participants" };
+  }
+  if (coupon.eligibility === "followers") {
+    const isFollower = await Club.exists({
+      _id: event.organizerId,
+      "followers.userId": user._id,
+    });
+    if (!isFollower) {
+      return { error: "This coupon is only for club followers" };
+    }
+  }
+
+  const timesUsed = await Registration.countDocuments({
+    userId: user._id,
+    couponId: coupon._id,
+    couponReleasedAt: null,
+  });
+  if (timesUsed >= coupon.perUserLimit) {
+    return { error: "You have already used this coupon" };
+  }
+
+  if (!(amount > 0)) {
+    return { error: "Coupons only apply to paid registrations" };
+  }
+
+  return { coupon, discountAmount: computeDiscount(coupon, amount) };
+}
+
+// takes one use of a coupon atomically, returns false if it ran out meanwhile
+async function redeemCoupon(coupon) {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+  );
+  return result.modifiedCount === 1;
+}
+
+// gives back a use when the registration it was taken for could not be saved
+async function releaseCoupon(couponId) {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+  );
+}
+
+// gives back the use a registration took once it is cancelled or rejected (caller saves)
+// couponReleasedAt keeps a second cancellation path from releasing it again
+async function releaseRegistrationCoupon(registration) {
+  if (!registration.couponId || registration.couponReleasedAt) return;
+  await releaseCoupon(registration.couponId);
+  registration.couponReleasedAt = new Date();
+}
+
+module.exports = {
+  computeDiscount,
+  validateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  releaseRegistrationCoupon,
+};
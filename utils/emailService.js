@@ -64,6 +64,16 @@ async function generateEncryptedQRCode(registrationData) {
   };
 }
 
+// escapes free text typed by participants or organizers before it goes into an html email
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 // sends mail 
 async function sendRegistrationEmail(options) {
   const {
@@ -75,6 +85,8 @@ async function sendRegistrationEmail(options) {
     ticketId,
     qrCodeBuffer,
     registrationFee,
+    receiptNumber,
+    receiptPdf,
   } = options;
 
   const mailOptions = {
@@ -141,6 +153,17 @@ async function sendRegistrationEmail(options) {
               `
                   : ""
               }
+
+              ${
+                receiptNumber
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Receipt No.:</span>
+                <span class="detail-value">${receiptNumber} (PDF attached)</span>
+              </div>
+              `
+                  : ""
+              }
             </div>
 
             <div class="qr-container">
@@ -162,6 +185,15 @@ async function sendRegistrationEmail(options) {
         content: qrCodeBuffer,
         cid: "qrcode",
       },
+      ...(receiptPdf
+        ? [
+            {
+              filename: `receipt-${receiptNumber}.pdf`,
+              content: receiptPdf,
+              contentType: "application/pdf",
+            },
+          ]
+        : []),
     ],
   };
   try {
@@ -174,9 +206,646 @@ async function sendRegistrationEmail(options) {
   }
 }
 
+// sends cancellation confirmation mail
+async function sendCancellationEmail(options) {
+  const { to, userName, eventName, eventDate, ticketId, reason } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `Registration Cancelled - ${eventName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Registration Cancelled</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>Your registration for <strong>${eventName}</strong> has been cancelled. Your ticket is no longer valid for entry.</p>
+
+            <div class="details">
+              <div class="detail-row">
+                <span class="detail-label">Event Date:</span>
+                <span class="detail-value">
+                  ${new Date(eventDate).toLocaleString("en-US", {
+                    dateStyle: "full",
+                    timeStyle: "short",
+                  })}
+                </span>
+              </div>
+
+              ${
+                ticketId
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Cancelled Ticket ID:</span>
+                <span class="detail-value"><code>${ticketId}</code></span>
+              </div>
+              `
+                  : ""
+              }
+
+              ${
+                reason
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Reason:</span>
+                <span class="detail-value">${escapeHtml(reason)}</span>
+              </div>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Cancellation email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending cancellation email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends mail when a waitlisted participant gets a seat, with the QR pass if a ticket was issued
+async function sendWaitlistPromotionEmail(options) {
+  const {
+    to,
+    userName,
+    eventName,
+    eventDate,
+    ticketId,
+    qrCodeBuffer,
+    claimDeadline,
+    requiresPaymentProof,
+  } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `A Spot Opened Up - ${eventName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You're off the Waitlist!</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>A spot has opened up for <strong>${eventName}</strong> and it is now reserved for you.</p>
+            <p>
+              ${
+                requiresPaymentProof
+                  ? "Please upload your payment proof"
+                  : "Please claim your spot"
+              }
+              before <strong>${new Date(claimDeadline).toLocaleString("en-US", {
+                dateStyle: "full",
+                timeStyle: "short",
+              })}</strong>, otherwise it will be offered to the next person on the waitlist.
+            </p>
+
+            <div class="details">
+              <div class="detail-row">
+                <span class="detail-label">Event Date:</span>
+                <span class="detail-value">
+                  ${new Date(eventDate).toLocaleString("en-US", {
+                    dateStyle: "full",
+                    timeStyle: "short",
+                  })}
+                </span>
+              </div>
+
+              ${
+                ticketId
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Ticket ID:</span>
+                <span class="detail-value"><code>${ticketId}</code></span>
+              </div>
+              `
+                  : ""
+              }
+            </div>
+
+            ${
+              qrCodeBuffer
+                ? `
+            <div class="qr-container">
+              <h2>Your Entry Pass</h2>
+              <img
+                src="cid:qrcode"
+                alt="QR Code"
+                style="max-width: 300px; height: auto;"
+              />
+            </div>
+            `
+                : ""
+            }
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    attachments: qrCodeBuffer
+      ? [
+          {
+            filename: "qr-code.png",
+            content: qrCodeBuffer,
+            cid: "qrcode",
+          },
+        ]
+      : [],
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Waitlist promotion email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending waitlist promotion email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends team invitation mail with the join link
+async function sendTeamInviteEmail(options) {
+  const { to, leaderName, teamName, eventName, inviteLink, joinCode } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `Team Invitation - ${teamName} (${eventName})`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You're Invited!</h1>
+          </div>
+
+          <div class="content">
+            <p><strong>${leaderName}</strong> has invited you to join team <strong>${teamName}</strong> for <strong>${eventName}</strong>.</p>
+            <p><a href="${inviteLink}">Accept the invitation</a></p>
+            <p>Or join with the team code: <code>${joinCode}</code></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Team invite email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending team invite email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends password reset link (token is only valid for a short time)
+async function sendPasswordResetEmail(options) {
+  const { to, userName, resetLink, expiresInMinutes } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: "Reset Your Password",
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Password Reset</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+            <p><a href="${resetLink}">Reset my password</a></p>
+            <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+            <p>If you didn't request this, you can ignore this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Password reset email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending password reset email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends the signed email verification link
+async function sendVerificationEmail(options) {
+  const { to, userName, verifyLink } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: "Verify Your Email",
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Verify Your Email</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>Please confirm this is your email address:</p>
+            <p><a href="${verifyLink}">Verify my email</a></p>
+            <p>This link expires in 24 hours.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Verification email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending verification email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends mail to a club follower about one newly published event
+async function sendNewEventEmail(options) {
+  const { to, userName, clubName, event } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `${clubName} just published ${event.name}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>New Event from ${clubName}</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p><strong>${clubName}</strong>, a club you follow, has published <strong>${event.name}</strong>.</p>
+            <p>${event.description}</p>
+            <p>
+              Starts ${new Date(event.eventStartDate).toLocaleString("en-US", {
+                dateStyle: "full",
+                timeStyle: "short",
+              })}. Register before ${new Date(
+                event.registrationDeadline,
+              ).toLocaleString("en-US", {
+                dateStyle: "medium",
+                timeStyle: "short",
+              })}.
+            </p>
+            <p><a href="${process.env.FRONTEND_URL}/events/${event._id}">View event</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending new event email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends one mail listing every event published by followed clubs since the last digest
+async function sendEventDigestEmail(options) {
+  const { to, userName, items } = options;
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `${items.length} new event(s) from clubs you follow`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Event Digest</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>Here's what the clubs you follow have published:</p>
+            <ul>
+              ${items
+                .map(
+                  ({ clubName, event }) => `
+              <li>
+                <a href="${process.env.FRONTEND_URL}/events/${event._id}">${event.name}</a>
+                by ${clubName} - ${new Date(event.eventStartDate).toLocaleDateString()}
+              </li>`,
+                )
+                .join("")}
+            </ul>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending digest email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// headline and body line for each refund step
+const REFUND_EMAIL_COPY = {
+  requested: {
+    title: "Refund Requested",
+    line: "A refund has been opened for your registration and is awaiting the organizer's review.",
+  },
+  approved: {
+    title: "Refund Approved",
+    line: "The organizer has approved your refund. You will be notified once the money is sent.",
+  },
+  processed: {
+    title: "Refund Processed",
+    line: "Your refund has been sent. It may take a few business days to appear in your account.",
+  },
+  rejected: {
+    title: "Refund Declined",
+    line: "The organizer has declined your refund request.",
+  },
+};
+
+// sends mail at each step of a refund (requested, approved, processed, rejected)
+async function sendRefundEmail(options) {
+  const {
+    to,
+    userName,
+    eventName,
+    amount,
+    status,
+    reason,
+    transactionReference,
+  } = options;
+  const copy = REFUND_EMAIL_COPY[status];
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `${copy.title} - ${eventName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${copy.title}</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>${copy.line}</p>
+
+            <div class="details">
+              <div class="detail-row">
+                <span class="detail-label">Event:</span>
+                <span class="detail-value">${eventName}</span>
+              </div>
+
+              <div class="detail-row">
+                <span class="detail-label">Refund Amount:</span>
+                <span class="detail-value">₹${amount}</span>
+              </div>
+
+              ${
+                reason
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">${status === "rejected" ? "Reason" : "Note"}:</span>
+                <span class="detail-value">${escapeHtml(reason)}</span>
+              </div>
+              `
+                  : ""
+              }
+
+              ${
+                transactionReference
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Transaction Reference:</span>
+                <span class="detail-value"><code>${transactionReference}</code></span>
+              </div>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Refund email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending refund email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// sends mail when an event is postponed, with the re-issued QR pass once it has new dates
+async function sendEventPostponedEmail(options) {
+  const {
+    to,
+    userName,
+    eventName,
+    previousDate,
+    newDate,
+    ticketId,
+    qrCodeBuffer,
+    reason,
+  } = options;
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleString("en-US", {
+      dateStyle: "full",
+      timeStyle: "short",
+    });
+
+  const mailOptions = {
+    from: {
+      name: "Felicity Event Management",
+      address: process.env.EMAIL_USER,
+    },
+    to: to,
+    subject: `${newDate ? "Event Rescheduled" : "Event Postponed"} - ${eventName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${newDate ? "Event Rescheduled" : "Event Postponed"}</h1>
+          </div>
+
+          <div class="content">
+            <p>Dear <strong>${userName}</strong>,</p>
+            <p>
+              ${
+                newDate
+                  ? `<strong>${eventName}</strong> has moved to a new date. Your registration carries over and your updated entry pass is below.`
+                  : `<strong>${eventName}</strong> has been postponed. Your registration stays valid and we will email you as soon as the new date is set.`
+              }
+            </p>
+
+            <div class="details">
+              <div class="detail-row">
+                <span class="detail-label">Previous Date:</span>
+                <span class="detail-value">${formatDate(previousDate)}</span>
+              </div>
+
+              ${
+                newDate
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">New Date:</span>
+                <span class="detail-value">${formatDate(newDate)}</span>
+              </div>
+              `
+                  : ""
+              }
+
+              ${
+                ticketId
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Ticket ID:</span>
+                <span class="detail-value"><code>${ticketId}</code></span>
+              </div>
+              `
+                  : ""
+              }
+
+              ${
+                reason
+                  ? `
+              <div class="detail-row">
+                <span class="detail-label">Reason:</span>
+                <span class="detail-value">${escapeHtml(reason)}</span>
+              </div>
+              `
+                  : ""
+              }
+            </div>
+
+            ${
+              qrCodeBuffer
+                ? `
+            <div class="qr-container">
+              <h2>Your Entry Pass</h2>
+              <img
+                src="cid:qrcode"
+                alt="QR Code"
+                style="max-width: 300px; height: auto;"
+              />
+            </div>
+            `
+                : ""
+            }
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    attachments: qrCodeBuffer
+      ? [
+          {
+            filename: "qr-code.png",
+            content: qrCodeBuffer,
+            cid: "qrcode",
+          },
+        ]
+      : [],
+  };
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log("Event postponement email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Error sending event postponement email:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   encryptQRData,
   decryptQRData,
   generateEncryptedQRCode,
   sendRegistrationEmail,
+  sendCancellationEmail,
+  sendWaitlistPromotionEmail,
+  sendTeamInviteEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendNewEventEmail,
+  sendEventDigestEmail,
+  sendRefundEmail,
+  sendEventPostponedEmail,
 };
\ No newline at end of file
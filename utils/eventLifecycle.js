@@ -0,0 +1,261 @@
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const Discussion = require("../models/discussion");
+const {
+  holdsSeat,
+  releaseSeat,
+  rejectPendingApprovals,
+  issueTicket,
+} = require("./seatManager");
+const { requestRefund } = require("./refunds");
+const { releaseRegistrationCoupon } = require("./coupons");
+const {
+  broadcastAnnouncement,
+  cancelAnnouncement,
+} = require("./announcements");
+const {
+  sendCancellationEmail,
+  sendEventPostponedEmail,
+} = require("./emailService");
+
+// marks every confirmed participant who was never scanned as absent once an event is over
+function markAbsentees(eventId) {
+  return Registration.updateMany(
+    { eventId, status: "registered", attendanceStatus: "not_checked" },
+    {
+      attendanceStatus: "absent",
+      attendanceTimestamp: new Date(),
+    },
+  );
+}
+
+// stores the status the toJSON transform would derive: published events start
+// at eventStartDate and every live event completes at eventEndDate
+async function advanceEventLifecycle() {
+  const now = new Date();
+
+  const started = await Event.updateMany(
+    {
+      status: "published",
+      eventStartDate: { $lte: now },
+      eventEndDate: { $gt: now },
+    },
+    { $set: { status: "ongoing" } },
+  );
+
+  const ended = await Event.find({
+    status: { $in: ["published", "ongoing"] },
+    eventEndDate: { $lte: now },
+  }).select("_id");
+
+  let completed = 0;
+  for (const { _id } of ended) {
+    // Claim each completion so an organizer completing it at the same time
+    // doesn't mark absentees twice
+    const event = await Event.findOneAndUpdate(
+      { _id, status: { $in: ["published", "ongoing"] } },
+      { $set: { status: "completed" } },
+    );
+    if (!event) continue;
+    await markAbsentees(_id);
+    completed += 1;
+  }
+
+  return { started: started.modifiedCount, completed };
+}
+
+function formatEventDate(date) {
+  return new Date(date).toLocaleString("en-US", {
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+}
+
+// posts a pinned organizer announcement to the forum and notifies everyone
+// still registered
+async function announceToParticipants(event, message) {
+  const discussion = await Discussion.create({
+    eventId: event._id,
+    authorId: event.organizerId,
+    authorType: "Club",
+    message,
+    isAnnouncement: true,
+    isPinned: true,
+  });
+  await discussion.populate("authorId", "firstName lastName name email");
+  await broadcastAnnouncement(discussion, event);
+}
+
+// registrations that still hold a place (or a spot in a queue) at the event
+function findActiveRegistrations(eventId) {
+  return Registration.find({
+    eventId,
+    status: { $nin: ["cancelled", "rejected"] },
+  }).populate("userId", "firstName lastName email");
+}
+
+// calls an event off: every ticket is invalidated, seats and stock go back,
+// paid registrations get a refund opened for the organizer to review
+// returns { event, cancelled, refunds } or { error }
+async function cancelEvent(eventId, { reason } = {}) {
+  // Claim the change so the lifecycle job or a second click can't race it
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: { $in: ["published", "ongoing", "postponed"] } },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancellationReason: reason,
+      },
+    },
+    { new: true },
+  );
+  if (!event) {
+    return {
+      error: "Only published, ongoing or postponed events can be cancelled",
+    };
+  }
+
+  // Announce first, participants are only notified while still registered
+  await announceToParticipants(
+    event,
+    reason
+      ? `This event has been cancelled. Reason: ${reason}`
+      : "This event has been cancelled.",
+  );
+
+  // Drop announcements that were queued for later
+  const scheduled = await Discussion.find({
+    eventId: event._id,
+    scheduledAt: { $ne: null },
+  }).select("_id");
+  for (const { _id } of scheduled) {
+    await cancelAnnouncement(_id);
+    await Discussion.deleteOne({ _id, scheduledAt: { $ne: null } });
+  }
+
+  const cancellationReason = reason
+    ? `Event cancelled: ${reason}`
+    : "Event cancelled by organizer";
+  const registrations = await findActiveRegistrations(event._id);
+
+  let refunds = 0;
+  for (const registration of registrations) {
+    const hadSeat = holdsSeat(registration);
+
+    // Cancel and invalidate the QR ticket
+    registration.status = "cancelled";
+    registration.cancelledAt = new Date();
+    registration.cancellationReason = cancellationReason;
+    registration.qrCodeEncrypted = undefined;
+    registration.qrCodeIV = undefined;
+    registration.scanHistory.push({
+      timestamp: new Date(),
+      action: "cancelled",
+      notes: cancellationReason,
+    });
+
+    // Payments and approvals still under review can no longer go through
+    rejectPendingApprovals(registration, cancellationReason);
+
+    await releaseSeat(event, registration, hadSeat);
+    await releaseRegistrationCoupon(registration);
+    await registration.save();
+
+    if (registration.paymentApprovalStatus === "approved") {
+      const { refund } = await requestRefund(event, registration, {
+        reason: cancellationReason,
+        source: "event_cancelled",
+      });
+      if (refund) refunds += 1;
+    }
+
+    try {
+      await sendCancellationEmail({
+        to: registration.userId.email,
+        userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        eventName: event.name,
+        eventDate: event.eventStartDate,
+        ticketId: registration.ticketId,
+        reason: cancellationReason,
+      });
+    } catch (emailError) {
+      console.error("Failed to send event cancellation email:", emailError);
+    }
+  }
+
+  return { event, cancelled: registrations.length, refunds };
+}
+
+// puts an event that hasn't started on hold, or moves it straight to new
+// dates (`dates` holds eventStartDate, eventEndDate and registrationDeadline)
+// registrations carry over and issued tickets are re-issued for the new dates
+// returns { event, notified, reissued } or { error }
+async function postponeEvent(event, { reason, dates } = {}) {
+  const now = new Date();
+  const previousDate = event.eventStartDate;
+  const update = {
+    status: dates ? "published" : "postponed",
+    postponedAt: now,
+    postponementReason: reason,
+    originalStartDate: event.originalStartDate || event.eventStartDate,
+    ...(dates || {}),
+  };
+
+  const updated = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { status: "postponed" },
+        { status: "published", eventStartDate: { $gt: now } },
+      ],
+    },
+    { $set: update },
+    { new: true },
+  );
+  if (!updated) {
+    return { error: "Only events that have not started can be postponed" };
+  }
+
+  const newDate = dates ? updated.eventStartDate : null;
+  let message = newDate
+    ? `This event has been rescheduled to ${formatEventDate(newDate)}. Your registration carries over.`
+    : "This event has been postponed. Your registration stays valid and the new date will be announced here.";
+  if (reason) message += ` Reason: ${reason}`;
+  await announceToParticipants(updated, message);
+
+  const registrations = await findActiveRegistrations(updated._id);
+  let reissued = 0;
+  for (const registration of registrations) {
+    // Issued tickets get a fresh QR pass for the new dates
+    let qrCodeBuffer = null;
+    if (newDate && registration.ticketId && registration.qrCodeEncrypted) {
+      qrCodeBuffer = await issueTicket(updated, registration);
+      reissued += 1;
+    }
+
+    try {
+      await sendEventPostponedEmail({
+        to: registration.userId.email,
+        userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        eventName: updated.name,
+        previousDate,
+        newDate,
+        ticketId: registration.ticketId,
+        qrCodeBuffer,
+        reason,
+      });
+    } catch (emailError) {
+      console.error("Failed to send event postponement email:", emailError);
+    }
+  }
+
+  return { event: updated, notified: registrations.length, reissued };
+}
+
+module.exports = {
+  markAbsentees,
+  advanceEventLifecycle,
+  cancelEvent,
+  postponeEvent,
+};
@@ -0,0 +1,110 @@
+const axios = require("axios");
+const Event = require("../models/event");
+const Club = require("../models/club");
+const { scheduleJob, cancelJob } = require("./jobRunner");
+const { queueFollowerNotifications } = require("./followerNotifier");
+const { checkVenueBooking } = require("./venues");
+
+// posts the new event to the club's discord channel, if it has a webhook
+async function sendDiscordNotification(club, event) {
+  if (!club.discordWebhook) return;
+
+  try {
+    await axios.post(club.discordWebhook, {
+      embeds: [
+        {
+          title: `New Event: ${event.name}`,
+          description: event.description,
+          fields: [
+            {
+              name: "Event Date",
+              value: new Date(event.eventStartDate).toLocaleDateString(),
+              inline: true,
+            },
+            {
+              name: "Registration Fee",
+              value:
+                event.registrationFee > 0
+                  ? `₹${event.registrationFee}`
+                  : "Free",
+              inline: true,
+            },
+            {
+              name: "👥 Spots Available",
+              value: `${event.registrationLimit}`,
+              inline: true,
+            },
+            {
+              name: "Registration Deadline",
+              value: new Date(event.registrationDeadline).toLocaleString(),
+              inline: false,
+            },
+          ],
+          footer: {
+            text: `Event Type: ${event.eventType} | Eligibility: ${event.eligibility}`,
+          },
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    });
+  } catch (error) {
+    console.error("Discord webhook error:", error.message);
+  }
+}
+
+// everything that happens once an event goes live, however it was published
+async function announceEventPublished(event) {
+  const club = await Club.findById(event.organizerId);
+  if (!club) return;
+  await sendDiscordNotification(club, event);
+  await queueFollowerNotifications(club, event);
+}
+
+function publishJobKey(eventId) {
+  return `publish-event:${eventId}`;
+}
+
+function cancelScheduledPublish(eventId) {
+  return cancelJob(publishJobKey(eventId));
+}
+
+// keeps the queued publish job in line with the event's publishAt
+async function schedulePublish(event) {
+  if (event.publishAt && event.status === "draft") {
+    await scheduleJob("publish-event", {
+      key: publishJobKey(event._id),
+      runAt: event.publishAt,
+      payload: { eventId: event._id.toString() },
+    });
+  } else {
+    await cancelScheduledPublish(event._id);
+  }
+}
+
+// job handler: publishes a draft whose publishAt has come, the conditional
+// update makes sure a manual publish or a rescheduled time wins
+async function publishScheduledEvent({ eventId }) {
+  // Another club may have booked the venue since this was scheduled, failing
+  // the job leaves it retrying and visible to admins
+  const draft = await Event.findById(eventId);
+  if (!draft || draft.status !== "draft") return { published: false };
+  const bookingError = await checkVenueBooking(draft);
+  if (bookingError) throw new Error(bookingError.error);
+
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: "draft", publishAt: { $lte: new Date() } },
+    { $set: { status: "published", publishAt: null } },
+    { new: true },
+  );
+  if (!event) return { published: false };
+  await announceEventPublished(event);
+  return { published: true };
+}
+
+module.exports = {
+  sendDiscordNotification,
+  announceEventPublished,
+  schedulePublish,
+  cancelScheduledPublish,
+  publishScheduledEvent,
+};
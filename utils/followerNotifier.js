@@ -0,0 +1,126 @@
+const FollowerNotification = require("../models/followerNotification");
+const User = require("../models/user");
+const Club = require("../models/club");
+const Event = require("../models/event");
+const { notifyUsers } = require("./notifications");
+const { sendNewEventEmail, sendEventDigestEmail } = require("./emailService");
+
+const EMAIL_BATCH_SIZE = 50;
+const DIGEST_HOUR = 8; // digests go out once a day from this hour (server time)
+
+// records in-app notifications and queues emails for a club's followers,
+// the actual sending happens in the background worker
+async function queueFollowerNotifications(club, event) {
+  const inAppUserIds = club.followers
+    .filter((f) => f.inAppNotifications !== false)
+    .map((f) => f.userId);
+  await notifyUsers(inAppUserIds, {
+    type: "event_published",
+    title: `${club.name} published a new event`,
+    message: event.name,
+    eventId: event._id,
+  });
+
+  const emailItems = club.followers
+    .filter((f) => f.emailPreference !== "none")
+    .map((f) => ({
+      userId: f.userId,
+      clubId: club._id,
+      eventId: event._id,
+      delivery: f.emailPreference === "digest" ? "digest" : "immediate",
+    }));
+  for (let i = 0; i < emailItems.length; i += 500) {
+    await FollowerNotification.insertMany(emailItems.slice(i, i + 500), {
+      ordered: false,
+    });
+  }
+  return emailItems.length;
+}
+
+// sends one batch of queued immediate emails
+async function sendImmediateBatch() {
+  const batch = await FollowerNotification.find({
+    delivery: "immediate",
+    sentAt: null,
+  })
+    .sort({ createdAt: 1 })
+    .limit(EMAIL_BATCH_SIZE);
+  if (batch.length === 0) return 0;
+
+  const [users, clubs, events] = await Promise.all([
+    User.find({ _id: { $in: batch.map((n) => n.userId) } }),
+    Club.find({ _id: { $in: batch.map((n) => n.clubId) } }, "name"),
+    Event.find({ _id: { $in: batch.map((n) => n.eventId) } }),
+  ]);
+  const byId = (docs) => new Map(docs.map((d) => [d._id.toString(), d]));
+  const userMap = byId(users);
+  const clubMap = byId(clubs);
+  const eventMap = byId(events);
+
+  for (const item of batch) {
+    const user = userMap.get(item.userId.toString());
+    const club = clubMap.get(item.clubId.toString());
+    const event = eventMap.get(item.eventId.toString());
+    // mark sent first so a crash never double-sends
+    item.sentAt = new Date();
+    await item.save();
+    if (!user || !club || !event) continue;
+    await sendNewEventEmail({
+      to: user.email,
+      userName: `${user.firstName} ${user.lastName || ""}`.trim(),
+      clubName: club.name,
+      event,
+    });
+  }
+  return batch.length;
+}
+
+// sends each user one email with every queued digest item
+async function sendDigests() {
+  const userIds = await FollowerNotification.distinct("userId", {
+    delivery: "digest",
+    sentAt: null,
+  });
+
+  for (const userId of userIds.slice(0, EMAIL_BATCH_SIZE)) {
+    const items = await FollowerNotification.find({
+      userId,
+      delivery: "digest",
+      sentAt: null,
+    })
+      .populate("clubId", "name")
+      .populate("eventId");
+    await FollowerNotification.updateMany(
+      { _id: { $in: items.map((i) => i._id) } },
+      { sentAt: new Date() },
+    );
+
+    const user = await User.findById(userId);
+    const liveItems = items.filter((i) => i.clubId && i.eventId);
+    if (!user || liveItems.length === 0) continue;
+    await sendEventDigestEmail({
+      to: user.email,
+      userName: `${user.firstName} ${user.lastName || ""}`.trim(),
+      items: liveItems.map((i) => ({
+        clubName: i.clubId.name,
+        event: i.eventId,
+      })),
+    });
+  }
+}
+
+// one run of the background job: immediate emails every time, digests during DIGEST_HOUR
+async function sendFollowerEmails() {
+  const sent = await sendImmediateBatch();
+  if (new Date().getHours() === DIGEST_HOUR) {
+    await sendDigests();
+  }
+  return { sent };
+}
+
+module.exports = {
+  queueFollowerNotifications,
+  sendImmediateBatch,
+  sendDigests,
+  sendFollowerEmails,
+};
@@ -0,0 +1,150 @@
+const Registration = require("../models/registration");
+const { getOrderItems } = require("./merchOrders");
+const { notifyUser } = require("./notifications");
+
+// ordered -> ready_for_pickup -> picked_up (at the stall, by ticket scan)
+//         \-> shipped (for orders that are posted instead)
+// statuses an organizer may set by hand, mapped to the statuses they can follow
+const MANUAL_TRANSITIONS = {
+  ordered: ["ready_for_pickup", "shipped"],
+  ready_for_pickup: ["ordered", "ready_for_pickup"],
+  shipped: ["ordered", "ready_for_pickup", "shipped"],
+};
+
+function getFulfillmentStatus(registration) {
+  return registration.merchandiseOrder?.fulfillmentStatus || "ordered";
+}
+
+// filter for orders that are paid (or free) and confirmed, i.e. owed to the buyer
+function confirmedOrderFilter(eventId) {
+  return {
+    eventId,
+    status: { $in: ["registered", "attended"] },
+    registrationApprovalStatus: { $nin: ["pending", "rejected"] },
+    paymentApprovalStatus: { $in: ["not_required", "approved"] },
+  };
+}
+
+// moves a confirmed order to ready_for_pickup, shipped or back to ordered
+// returns { registration } or { error }, caller saves the registration
+async function setFulfillmentStatus(event, registration, update) {
+  const { status, carrier, trackingNumber } = update;
+  const allowedFrom = MANUAL_TRANSITIONS[status];
+  if (!allowedFrom) {
+    return {
+      error: "Status must be one of: ordered, ready_for_pickup, shipped",
+    };
+  }
+
+  const current = getFulfillmentStatus(registration);
+  if (current === "picked_up") {
+    return { error: "Order has already been picked up" };
+  }
+  if (!allowedFrom.includes(current)) {
+    return { error: `Cannot change an order from ${current} to ${status}` };
+  }
+
+  const order = registration.merchandiseOrder;
+  order.fulfillmentStatus = status;
+  if (status === "ordered") {
+    order.readyAt = undefined;
+    order.shippedAt = undefined;
+  } else if (status === "ready_for_pickup") {
+    order.readyAt = order.readyAt || new Date();
+    order.shippedAt = undefined;
+  } else {
+    order.shippedAt = order.shippedAt || new Date();
+    if (carrier !== undefined) order.carrier = carrier;
+    if (trackingNumber !== undefined) order.trackingNumber = trackingNumber;
+  }
+
+  // Only notify on the first move into a status, not on tracking edits
+  if (status !== current && status === "ready_for_pickup") {
+    await notifyUser(registration.userId._id || registration.userId, {
+      type: "merch_ready",
+      title: `Your order for ${event.name} is ready for pickup`,
+      message: `Show ticket ${registration.ticketId} at the stall to collect it`,
+      eventId: event._id,
+    });
+  } else if (status !== current && status === "shipped") {
+    await notifyUser(registration.userId._id || registration.userId, {
+      type: "merch_shipped",
+      title: `Your order for ${event.name} has been shipped`,
+      message: order.trackingNumber
+        ? `Tracking number: ${order.trackingNumber}${order.carrier ? ` (${order.carrier})` : ""}`
+        : undefined,
+      eventId: event._id,
+    });
+  }
+
+  return { registration };
+}
+
+// hands over an order at the stall, claimed atomically so two scanners can't both succeed
+// returns the updated registration, or null if it was already picked up or shipped
+function confirmPickup(registrationId, performedBy) {
+  const now = new Date();
+  return Registration.findOneAndUpdate(
+    {
+      _id: registrationId,
+      "merchandiseOrder.fulfillmentStatus": {
+        $nin: ["picked_up", "shipped"],
+      },
+    },
+    {
+      $set: {
+        "merchandiseOrder.fulfillmentStatus": "picked_up",
+        "merchandiseOrder.pickedUpAt": now,
+        "merchandiseOrder.pickedUpBy": performedBy,
+      },
+      $push: {
+        scanHistory: {
+          timestamp: now,
+          action: "picked_up",
+          performedBy,
+        },
+      },
+    },
+    { new: true },
+  ).populate("userId", "firstName lastName email collegeName");
+}
+
+// quantities per size and colour for the vendor, split by fulfillment progress
+function getVendorSheet(event, registrations) {
+  const byVariant = new Map();
+  for (const variant of event.merchandiseDetails?.variants || []) {
+    byVariant.set(variant.variantId, {
+      variantId: variant.variantId,
+      size: variant.size || "",
+      color: variant.color || "",
+      quantity: 0,
+      orders: 0,
+      toHandOver: 0,
+      pickedUp: 0,
+      shipped: 0,
+    });
+  }
+
+  for (const registration of registrations) {
+    const status = getFulfillmentStatus(registration);
+    for (const item of getOrderItems(registration)) {
+      const row = byVariant.get(item.variantId);
+      if (!row) continue;
+      row.quantity += item.quantity;
+      row.orders += 1;
+      if (status === "picked_up") row.pickedUp += item.quantity;
+      else if (status === "shipped") row.shipped += item.quantity;
+      else row.toHandOver += item.quantity;
+    }
+  }
+
+  return [...byVariant.values()];
+}
+
+module.exports = {
+  getFulfillmentStatus,
+  confirmedOrderFilter,
+  setFulfillmentStatus,
+  confirmPickup,
+  getVendorSheet,
+};
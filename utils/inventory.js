@@ -0,0 +1,224 @@
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const { getOrderItems } = require("./merchOrders");
+const { sendCancellationEmail } = require("./emailService");
+const { releaseTierSlot } = require("./pricing");
+const { releaseRegistrationCoupon } = require("./coupons");
+
+// Stock lives on each variant in three buckets that always move together:
+//   stockQuantity    - still available to buy
+//   reservedQuantity - held for orders awaiting payment/approval
+//   soldQuantity     - paid for (or free and confirmed)
+// Every move is a conditional $inc so parallel buyers can never oversell.
+
+// moves quantity between buckets of one variant, only if `from` has enough
+async function moveVariantStock(eventId, variantId, quantity, from, to) {
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      "merchandiseDetails.variants": {
+        $elemMatch: { variantId, [from]: { $gte: quantity } },
+      },
+    },
+    {
+      $inc: {
+        [`merchandiseDetails.variants.$.${from}`]: -quantity,
+        [`merchandiseDetails.variants.$.${to}`]: quantity,
+      },
+    },
+  );
+  return result.modifiedCount === 1;
+}
+
+// moves every line item, rolling back the ones already moved if any fails
+async function moveOrderStock(eventId, items, from, to) {
+  const moved = [];
+  for (const item of items) {
+    const ok = await moveVariantStock(
+      eventId,
+      item.variantId,
+      item.quantity,
+      from,
+      to,
+    );
+    if (!ok) {
+      for (const done of moved) {
+        await moveVariantStock(
+          eventId,
+          done.variantId,
+          done.quantity,
+          to,
+          from,
+        );
+      }
+      return false;
+    }
+    moved.push(item);
+  }
+  return true;
+}
+
+// holds stock for a new order until it is paid, returns false if any variant ran out
+function reserveOrderStock(eventId, items) {
+  return moveOrderStock(eventId, items, "stockQuantity", "reservedQuantity");
+}
+
+// takes stock straight to sold for orders confirmed on the spot
+function sellOrderStock(eventId, items) {
+  return moveOrderStock(eventId, items, "stockQuantity", "soldQuantity");
+}
+
+// turns a registration's reservation into a sale (caller saves the registration)
+// legacy orders placed before reservations existed are taken from available stock
+// while it lasts; released orders gave their stock back and are never sold
+async function commitOrderStock(event, registration) {
+  if (event.eventType !== "merchandise") return;
+  const items = getOrderItems(registration);
+  const order = registration.merchandiseOrder;
+  const stockStatus = order && order.stockStatus;
+
+  if (stockStatus === "sold" || stockStatus === "released") return;
+  if (stockStatus === "reserved") {
+    await moveOrderStock(event._id, items, "reservedQuantity", "soldQuantity");
+  } else {
+    for (const item of items) {
+      const ok = await moveVariantStock(
+        event._id,
+        item.variantId,
+        item.quantity,
+        "stockQuantity",
+        "soldQuantity",
+      );
+      if (!ok) {
+        console.error(
+          `Not enough stock of ${item.variantId} left for registration ${registration._id}`,
+        );
+      }
+    }
+  }
+  if (order && order.items && order.items.length > 0) {
+    order.stockStatus = "sold";
+    order.reservationExpiresAt = undefined;
+  }
+}
+
+// gives a registration's reserved or sold stock back (caller saves the registration)
+// heldSeat marks legacy orders that took stock without a reservation
+async function releaseOrderStock(event, registration, heldSeat = false) {
+  if (event.eventType !== "merchandise") return;
+  const items = getOrderItems(registration);
+  const order = registration.merchandiseOrder;
+  const stockStatus = order && order.stockStatus;
+
+  if (stockStatus === "released") return;
+  if (stockStatus === "reserved" || stockStatus === "sold") {
+    const from =
+      stockStatus === "reserved" ? "reservedQuantity" : "soldQuantity";
+    for (const item of items) {
+      await moveVariantStock(
+        event._id,
+        item.variantId,
+        item.quantity,
+        from,
+        "stockQuantity",
+      );
+    }
+    order.stockStatus = "released";
+    order.reservationExpiresAt = undefined;
+  } else if (heldSeat) {
+    // legacy orders only ever took from available stock
+    for (const item of items) {
+      await Event.updateOne(
+        {
+          _id: event._id,
+          "merchandiseDetails.variants.variantId": item.variantId,
+        },
+        {
+          $inc: {
+            "merchandiseDetails.variants.$.stockQuantity": item.quantity,
+          },
+        },
+      );
+    }
+  }
+}
+
+// cancels paid orders whose payment proof did not arrive inside the reservation window
+async function expireStockReservations() {
+  const expired = await Registration.find({
+    "merchandiseOrder.stockStatus": "reserved",
+    "merchandiseOrder.reservationExpiresAt": { $lt: new Date() },
+    paymentApprovalStatus: "pending",
+    paymentProofImage: null,
+  });
+
+  let count = 0;
+  for (const candidate of expired) {
+    // Claim the expiry atomically so a proof uploaded just now wins
+    const registration = await Registration.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        "merchandiseOrder.stockStatus": "reserved",
+        paymentApprovalStatus: "pending",
+        paymentProofImage: null,
+      },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancellationReason: "Payment not received within reservation window",
+          paymentApprovalStatus: "rejected",
+          paymentRejectionReason:
+            "Payment not received within reservation window",
+        },
+        $push: {
+          scanHistory: {
+            timestamp: new Date(),
+            action: "cancelled",
+            notes: "Payment not received within reservation window",
+          },
+        },
+      },
+      { new: true },
+    ).populate("userId", "firstName lastName email");
+    if (!registration) continue;
+
+    const event = await Event.findById(registration.eventId);
+    if (!event) continue;
+    await releaseOrderStock(event, registration);
+    await releaseTierSlot(registration);
+    await releaseRegistrationCoupon(registration);
+    // the order held a seat alongside its stock
+    if (registration.seatStatus === "reserved") {
+      await Event.updateOne(
+        { _id: event._id, reservedSeats: { $gte: 1 } },
+        { $inc: { reservedSeats: -1 } },
+      );
+      registration.seatStatus = "released";
+    }
+    await registration.save();
+    count += 1;
+
+    try {
+      await sendCancellationEmail({
+        to: registration.userId.email,
+        userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        eventName: event.name,
+        eventDate: event.eventStartDate,
+        ticketId: registration.ticketId,
+        reason: registration.cancellationReason,
+      });
+    } catch (emailError) {
+      console.error("Failed to send reservation expiry email:", emailError);
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  reserveOrderStock,
+  sellOrderStock,
+  commitOrderStock,
+  releaseOrderStock,
+  expireStockReservations,
+};
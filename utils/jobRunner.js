@@ -0,0 +1,171 @@
+const os = require("os");
+const Job = require("../models/job");
+
+// Jobs live in MongoDB so they survive restarts, and each run is claimed with
+// an atomic update so several server instances never run the same job twice.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+// a run holding its lock longer than this is assumed dead and taken over
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+// one-off jobs wait this long (times the attempt number) before a retry
+const RETRY_DELAY_MS = 60 * 1000;
+
+// job name -> { handler, every }, filled by defineJob
+const definitions = new Map();
+
+// registers the code for a job; `every` (ms) makes it recurring
+function defineJob(name, handler, { every = null } = {}) {
+  definitions.set(name, { handler, every });
+}
+
+// queues a one-off job, replacing any queued job with the same key
+async function scheduleJob(
+  name,
+  { key = name, runAt = new Date(), payload = {} } = {},
+) {
+  return Job.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        name,
+        payload,
+        runAt,
+        status: "queued",
+        attempts: 0,
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+}
+
+// drops a queued job, returns false if there was none (or it already ran)
+async function cancelJob(key) {
+  const result = await Job.deleteOne({ key, status: "queued" });
+  return result.deletedCount === 1;
+}
+
+// makes sure a recurring job has its document, keeping its history across restarts
+async function ensureRecurringJob(name, every) {
+  await Job.updateOne(
+    { key: name },
+    {
+      $set: { name, repeatEvery: every },
+      $setOnInsert: { status: "queued", runAt: new Date() },
+    },
+    { upsert: true },
+  );
+}
+
+// takes the oldest due job this process knows how to run
+function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: [...definitions.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedAt: now,
+        lockedBy: WORKER_ID,
+        lastRunAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true },
+  );
+}
+
+// runs one claimed job and records the outcome, only if the lock is still ours
+async function runJob(job) {
+  const { handler } = definitions.get(job.name);
+  const started = Date.now();
+  const owned = { _id: job._id, lockedBy: WORKER_ID, lockedAt: job.lockedAt };
+
+  try {
+    const result = await handler(job.payload || {}, job);
+    await Job.updateOne(owned, {
+      $set: {
+        status: job.repeatEvery ? "queued" : "completed",
+        runAt: job.repeatEvery
+          ? new Date(Date.now() + job.repeatEvery)
+          : job.runAt,
+        attempts: 0,
+        lockedAt: null,
+        lockedBy: null,
+        lastFinishedAt: new Date(),
+        lastDurationMs: Date.now() - started,
+        lastResult: result === undefined ? null : result,
+        lastError: null,
+      },
+      $inc: { runCount: 1 },
+    });
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    // recurring jobs just wait for their next run, one-off jobs retry a few times
+    const giveUp = !job.repeatEvery && job.attempts >= job.maxAttempts;
+    const delay = job.repeatEvery || RETRY_DELAY_MS * job.attempts;
+    await Job.updateOne(owned, {
+      $set: {
+        status: giveUp ? "failed" : "queued",
+        runAt: new Date(Date.now() + delay),
+        lockedAt: null,
+        lockedBy: null,
+        lastFinishedAt: new Date(),
+        lastDurationMs: Date.now() - started,
+        lastError: error.message || String(error),
+      },
+      $inc: { failureCount: 1 },
+    });
+  }
+}
+
+// runs every due job, one at a time
+async function runDueJobs() {
+  let count = 0;
+  let job = await claimNextJob();
+  while (job) {
+    await runJob(job);
+    count += 1;
+    job = await claimNextJob();
+  }
+  return count;
+}
+
+// creates the recurring jobs and polls for due work
+async function startJobRunner(pollMs = 15 * 1000) {
+  for (const [name, { every }] of definitions) {
+    if (every) await ensureRecurringJob(name, every);
+  }
+
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error("Job runner error:", error);
+    } finally {
+      running = false;
+    }
+  }, pollMs);
+}
+
+module.exports = {
+  defineJob,
+  scheduleJob,
+  cancelJob,
+  runDueJobs,
+  startJobRunner,
+};
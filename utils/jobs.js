@@ -0,0 +1,36 @@
+const { defineJob, startJobRunner } = require("./jobRunner");
+const { advanceEventLifecycle } = require("./eventLifecycle");
+const { expireUnclaimedPromotions, expireSeatHolds } = require("./seatManager");
+const { expireStockReservations } = require("./inventory");
+const { sendFollowerEmails } = require("./followerNotifier");
+const { publishScheduledEvent } = require("./eventPublishing");
+const { postScheduledAnnouncement } = require("./announcements");
+
+const MINUTE = 60 * 1000;
+
+// every background job the server runs, names are what admins see in job status
+defineJob("event-lifecycle", advanceEventLifecycle, { every: MINUTE });
+defineJob("follower-emails", sendFollowerEmails, { every: MINUTE });
+defineJob(
+  "waitlist-expiry",
+  async () => ({ expired: await expireUnclaimedPromotions() }),
+  { every: 5 * MINUTE },
+);
+defineJob(
+  "seat-hold-expiry",
+  async () => ({ expired: await expireSeatHolds() }),
+  { every: 5 * MINUTE },
+);
+defineJob(
+  "reservation-expiry",
+  async () => ({ expired: await expireStockReservations() }),
+  { every: 5 * MINUTE },
+);
+
+// one-off jobs, queued per event / announcement with scheduleJob
+defineJob("publish-event", publishScheduledEvent);
+defineJob("send-announcement", postScheduledAnnouncement);
+
+module.exports = {
+  startJobs: startJobRunner,
+};
@@ -0,0 +1,145 @@
+// accepts { items: [...] }, a bare items array, or a legacy { variantId, quantity }
+// and merges repeated variants into one line each
+function normalizeOrderItems(input) {
+  let items = [];
+  if (Array.isArray(input)) {
+    items = input;
+  } else if (input && Array.isArray(input.items)) {
+    items = input.items;
+  } else if (input && input.variantId) {
+    items = [input];
+  }
+
+  const merged = new Map();
+  for (const item of items) {
+    if (!item || !item.variantId) continue;
+    const quantity =
+      item.quantity === undefined ? 1 : Number.parseInt(item.quantity, 10);
+    merged.set(item.variantId, (merged.get(item.variantId) || 0) + quantity);
+  }
+  return [...merged].map(([variantId, quantity]) => ({ variantId, quantity }));
+}
+
+// prices an order against the event's variants, returns { order } or { error }
+// purchaseLimit applies to the total quantity across all line items
+function buildMerchandiseOrder(event, input) {
+  const requested = normalizeOrderItems(input);
+  if (requested.length === 0) {
+    return { error: "Please select at least one variant" };
+  }
+
+  const items = [];
+  let totalQuantity = 0;
+  let totalAmount = 0;
+  for (const { variantId, quantity } of requested) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: "Quantity must be a positive whole number" };
+    }
+    const variant = event.merchandiseDetails.variants.find(
+      (v) => v.variantId === variantId,
+    );
+    if (!variant) {
+      return { error: `Invalid variant: ${variantId}` };
+    }
+    if (variant.stockQuantity < quantity) {
+      return { error: `Out of stock: ${describeVariant(variant)}` };
+    }
+
+    const lineTotal = variant.price * quantity;
+    items.push({
+      variantId,
+      size: variant.size,
+      color: variant.color,
+      quantity,
+      unitPrice: variant.price,
+      lineTotal,
+    });
+    totalQuantity += quantity;
+    totalAmount += lineTotal;
+  }
+
+  const purchaseLimit = event.merchandiseDetails.purchaseLimit || 1;
+  if (totalQuantity > purchaseLimit) {
+    return {
+      error: `You can buy at most ${purchaseLimit} item(s) for this event`,
+    };
+  }
+
+  return { order: { items, totalQuantity, totalAmount } };
+}
+
+// line items of a registration, falling back to the legacy single selection
+function getOrderItems(registration) {
+  const order = registration.merchandiseOrder;
+  if (order && order.items && order.items.length > 0) {
+    return order.items;
+  }
+  const selection = registration.merchandiseSelection;
+  if (selection && selection.variantId) {
+    return [
+      { variantId: selection.variantId, quantity: selection.quantity || 1 },
+    ];
+  }
+  return [];
+}
+
+// amount owed for a merchandise registration (legacy selections use current prices)
+function getOrderTotal(event, registration) {
+  const order = registration.merchandiseOrder;
+  if (order && order.items && order.items.length > 0) {
+    return order.totalAmount || 0;
+  }
+  return getOrderItems(registration).reduce((sum, item) => {
+    const variant = event.merchandiseDetails?.variants?.find(
+      (v) => v.variantId === item.variantId,
+    );
+    return sum + (variant ? variant.price * item.quantity : 0);
+  }, 0);
+}
+
+// units and revenue per variant across a set of registrations
+function getLineItemBreakdown(event, registrations) {
+  const byVariant = new Map();
+  for (const variant of event.merchandiseDetails?.variants || []) {
+    byVariant.set(variant.variantId, {
+      variantId: variant.variantId,
+      size: variant.size,
+      color: variant.color,
+      quantity: 0,
+      orders: 0,
+      revenue: 0,
+    });
+  }
+
+  for (const registration of registrations) {
+    for (const item of getOrderItems(registration)) {
+      const row = byVariant.get(item.variantId);
+      if (!row) continue;
+      const variant = event.merchandiseDetails.variants.find(
+        (v) => v.variantId === item.variantId,
+      );
+      row.quantity += item.quantity;
+      row.orders += 1;
+      row.revenue +=
+        item.lineTotal !== undefined
+          ? item.lineTotal
+          : (variant?.price || 0) * item.quantity;
+    }
+  }
+  return [...byVariant.values()];
+}
+
+function describeVariant(variant) {
+  return (
+    [variant.size, variant.color].filter(Boolean).join(" / ") ||
+    variant.variantId
+  );
+}
+
+module.exports = {
+  normalizeOrderItems,
+  buildMerchandiseOrder,
+  getOrderItems,
+  getOrderTotal,
+  getLineItemBreakdown,
+};
@@ -0,0 +1,37 @@
+const Notification = require("../models/notification");
+const Registration = require("../models/registration");
+
+// creates the same in-app notification for many users, never throws
+async function notifyUsers(userIds, data) {
+  try {
+    const unique = [...new Set(userIds.map((id) => id.toString()))];
+    if (unique.length === 0) return 0;
+    await Notification.insertMany(
+      unique.map((userId) => ({ ...data, userId })),
+      { ordered: false },
+    );
+    return unique.length;
+  } catch (error) {
+    console.error("Failed to create notifications:", error);
+    return 0;
+  }
+}
+
+async function notifyUser(userId, data) {
+  return notifyUsers([userId], data);
+}
+
+// notifies everyone with an active registration for an event
+async function notifyEventParticipants(eventId, data) {
+  const userIds = await Registration.distinct("userId", {
+    eventId,
+    status: { $nin: ["cancelled", "rejected"] },
+  });
+  return notifyUsers(userIds, { ...data, eventId });
+}
+
+module.exports = {
+  notifyUser,
+  notifyUsers,
+  notifyEventParticipants,
+};
@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const { sendRegistrationEmail } = require("./emailService");
+const { CLOSED_STATUSES, issueTicket, confirmSeat } = require("./seatManager");
+const { notifyUser } = require("./notifications");
+const { getOrderTotal } = require("./merchOrders");
+const { commitOrderStock } = require("./inventory");
+const { assignReceiptNumber, renderReceipt } = require("./receipts");
+
+// amount owed for a registration: the price stored at registration time when present,
+// else the order total for merch or the event fee
+function getRegistrationAmount(event, registration) {
+  if (registration.amountDue !== undefined && registration.amountDue !== null) {
+    return registration.amountDue;
+  }
+  if (event.eventType === "merchandise") {
+    return getOrderTotal(event, registration);
+  }
+  return event.registrationFee || 0;
+}
+
+// deletes an uploaded payment proof image from disk and clears it on the registration
+function removePaymentProof(registration) {
+  if (!registration.paymentProofImage) return;
+  const filePath = path.join(__dirname, "..", registration.paymentProofImage);
+  fs.unlink(filePath, (err) => {
+    if (err) console.error("Failed to delete payment proof:", err);
+  });
+  registration.paymentProofImage = null;
+}
+
+// marks a pending payment approved, issues the QR ticket, emails it and takes the seat/stock
+// used by manual organizer approval and online gateway capture alike
+// returns null if the payment was no longer pending (another approval got there first)
+// or the registration was cancelled or rejected in the meantime
+async function approvePayment(
+  event,
+  registration,
+  { approvedBy, method } = {},
+) {
+  const approval = {
+    paymentApprovalStatus: "approved",
+    paymentApprovalDate: new Date(),
+    paymentApprovedBy: approvedBy,
+    paymentStatus: "completed",
+  };
+  if (method) approval.paymentMethod = method;
+
+  // Claim the approval atomically so a double click or an organizer racing
+  // the gateway never issues two tickets or counts the revenue twice, and a
+  // cancelled registration (whose seat is already gone) is never revived
+  const claimed = await Registration.findOneAndUpdate(
+    {
+      _id: registration._id,
+      paymentApprovalStatus: "pending",
+      status: { $nin: CLOSED_STATUSES },
+    },
+    { $set: approval },
+  );
+  if (!claimed) return null;
+  registration.set(approval);
+
+  // Delete the payment proof image
+  removePaymentProof(registration);
+
+  if (registration.registrationApprovalStatus !== "pending") {
+    registration.status = "registered";
+  }
+
+  // Paying claims a seat offered from the waitlist
+  if (registration.promotedAt && !registration.claimedAt) {
+    registration.claimedAt = new Date();
+  }
+
+  // Reserved seat and merchandise stock become sold (saved with the ticket below)
+  await confirmSeat(event, registration);
+  await commitOrderStock(event, registration);
+
+  const paidAmount = getRegistrationAmount(event, registration);
+  registration.amountPaid = paidAmount;
+
+  // Populate user data for email
+  await registration.populate("userId", "firstName lastName email");
+
+  // Number the receipt before the ticket save so both are stored together
+  await assignReceiptNumber(event, registration);
+
+  // Generate ticket and encrypted QR code now that payment is approved
+  const qrCodeBuffer = await issueTicket(event, registration);
+
+  let receiptPdf = null;
+  try {
+    receiptPdf = await renderReceipt(event, registration);
+  } catch (receiptError) {
+    console.error("Failed to generate receipt:", receiptError);
+  }
+
+  // Send confirmation email with QR code
+  try {
+    await sendRegistrationEmail({
+      to: registration.userId.email,
+      userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+      eventName: event.name,
+      eventDate: event.eventStartDate,
+      eventLocation: event.location,
+      ticketId: registration.ticketId,
+      qrCodeBuffer,
+      registrationFee: paidAmount,
+      receiptNumber: registration.receiptNumber,
+      receiptPdf,
+    });
+    console.log(
+      `Payment approved confirmation email sent to ${registration.userId.email}`,
+    );
+  } catch (emailError) {
+    console.error("Failed to send payment approval email:", emailError);
+  }
+
+  // Now update event stats (the seat was counted by confirmSeat)
+  await Event.updateOne(
+    { _id: event._id },
+    { $inc: { totalRevenue: paidAmount } },
+  );
+
+  await notifyUser(registration.userId._id, {
+    type: "payment_approved",
+    title: `Payment approved for ${event.name}`,
+    message: `Your ticket ID is ${registration.ticketId}`,
+    eventId: event._id,
+  });
+
+  return { registration, paidAmount };
+}
+
+module.exports = {
+  getRegistrationAmount,
+  removePaymentProof,
+  approvePayment,
+};
@@ -0,0 +1,30 @@
+const mock = require("./mock");
+const razorpay = require("./razorpay");
+
+const providers = { mock, razorpay };
+
+// the mock gateway settles orders without real money, so it only works
+// when explicitly enabled outside production
+function isMockEnabled() {
+  return (
+    process.env.ENABLE_MOCK_PAYMENTS === "true" &&
+    process.env.NODE_ENV !== "production"
+  );
+}
+
+// active provider comes from PAYMENT_PROVIDER, there is no default
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name) {
+    throw new Error("PAYMENT_PROVIDER is not configured");
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (provider === mock && !isMockEnabled()) {
+    throw new Error("Mock payment provider is not enabled");
+  }
+  return provider;
+}
+
+module.exports = { getPaymentProvider, isMockEnabled };
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+// local gateway for development: orders live only in our database and
+// "capture" is triggered from the mock checkout endpoint
+const name = "mock";
+
+// no fallback secret: without MOCK_PAYMENT_SECRET every webhook is rejected
+function getSecret() {
+  return process.env.MOCK_PAYMENT_SECRET;
+}
+
+async function createOrder({ amount, currency }) {
+  return {
+    orderId: `mock_order_${uuidv4()}`,
+    amount,
+    currency,
+  };
+}
+
+// data the frontend needs to send the participant to checkout
+function getCheckoutData(order) {
+  return {
+    provider: name,
+    orderId: order.orderId,
+    amount: order.amount,
+    currency: order.currency,
+    checkoutUrl: `/api/payments/mock/checkout/${order.orderId}`,
+  };
+}
+
+function sign(rawBody) {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error("MOCK_PAYMENT_SECRET is not configured");
+  }
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+function verifyWebhookSignature(rawBody, headers) {
+  const signature = headers["x-mock-signature"];
+  if (!signature || !rawBody || !getSecret()) return false;
+  const expected = sign(rawBody);
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+// normalizes a webhook body into { type, orderId, paymentId, amount }
+function parseWebhook(body) {
+  return {
+    type: body.event,
+    orderId: body.orderId,
+    paymentId: body.paymentId,
+    amount: body.amount,
+  };
+}
+
+// builds a signed webhook the way a real gateway would deliver it
+function buildWebhook(order, outcome) {
+  const rawBody = Buffer.from(
+    JSON.stringify({
+      event: outcome === "success" ? "payment.captured" : "payment.failed",
+      orderId: order.orderId,
+      paymentId: `mock_pay_${uuidv4()}`,
+      amount: order.amount,
+    }),
+  );
+  return { rawBody, headers: { "x-mock-signature": sign(rawBody) } };
+}
+
+module.exports = {
+  name,
+  createOrder,
+  getCheckoutData,
+  verifyWebhookSignature,
+  parseWebhook,
+  buildWebhook,
+};
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+// razorpay-style adapter: amounts go to the API in paise, webhooks are
+// signed with an HMAC-SHA256 of the raw body
+const name = "razorpay";
+const API_URL = "https://api.razorpay.com/v1";
+
+async function createOrder({ amount, currency, receipt, notes }) {
+  const response = await axios.post(
+    `${API_URL}/orders`,
+    {
+      amount: Math.round(amount * 100),
+      currency,
+      receipt,
+      notes,
+    },
+    {
+      auth: {
+        username: process.env.RAZORPAY_KEY_ID,
+        password: process.env.RAZORPAY_KEY_SECRET,
+      },
+    },
+  );
+  return {
+    orderId: response.data.id,
+    amount,
+    currency,
+  };
+}
+
+function getCheckoutData(order) {
+  return {
+    provider: name,
+    keyId: process.env.RAZORPAY_KEY_ID,
+    orderId: order.orderId,
+    amount: Math.round(order.amount * 100),
+    currency: order.currency,
+  };
+}
+
+function verifyWebhookSignature(rawBody, headers) {
+  const signature = headers["x-razorpay-signature"];
+  if (!signature || !rawBody || !process.env.RAZORPAY_WEBHOOK_SECRET) {
+    return false;
+  }
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+function parseWebhook(body) {
+  const payment = body.payload?.payment?.entity || {};
+  return {
+    type: body.event,
+    orderId: payment.order_id,
+    paymentId: payment.id,
+    amount: payment.amount !== undefined ? payment.amount / 100 : undefined,
+  };
+}
+
+module.exports = {
+  name,
+  createOrder,
+  getCheckoutData,
+  verifyWebhookSignature,
+  parseWebhook,
+};
@@ -0,0 +1,75 @@
+const { isMainThread, parentPort, workerData } = require("worker_threads");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+
+// this file also runs as a worker thread (see fingerprintProof) so decoding an
+// upload never blocks other requests; it only needs the image libraries
+
+// bigger images are refused before any pixels are read: screenshots are 2-6 MP,
+// and the jpeg decoder needs about 24 MB per megapixel
+const MAX_MEGAPIXELS = 6;
+
+// decodes a jpeg/png into { width, height, data } with RGBA pixels
+function decodeImage(buffer) {
+  // png files start with \x89PNG
+  if (buffer.slice(0, 4).toString("hex") === "89504e47") {
+    // the IHDR chunk right after the signature holds width and height
+    const pixels = buffer.readUInt32BE(16) * buffer.readUInt32BE(20);
+    if (pixels > MAX_MEGAPIXELS * 1e6) {
+      throw new Error(`Image is larger than ${MAX_MEGAPIXELS} megapixels`);
+    }
+    return PNG.sync.read(buffer);
+  }
+  return jpeg.decode(buffer, {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxResolutionInMP: MAX_MEGAPIXELS,
+    maxMemoryUsageInMB: MAX_MEGAPIXELS * 24,
+  });
+}
+
+// difference hash: shrink to 9x8 grayscale and compare neighbouring pixels
+// survives re-encoding, resizing and small compression changes, returns 16 hex chars
+function computePerceptualHash(buffer) {
+  const { width, height, data } = decodeImage(buffer);
+  const cols = 9;
+  const rows = 8;
+  const gray = new Array(cols * rows).fill(0);
+
+  for (let row = 0; row < rows; row++) {
+    const y0 = Math.floor((row * height) / rows);
+    const y1 = Math.max(y0 + 1, Math.floor(((row + 1) * height) / rows));
+    for (let col = 0; col < cols; col++) {
+      const x0 = Math.floor((col * width) / cols);
+      const x1 = Math.max(x0 + 1, Math.floor(((col + 1) * width) / cols));
+      // average the block, sampling at most ~16 points per side to stay fast
+      const stepY = Math.max(1, Math.floor((y1 - y0) / 16));
+      const stepX = Math.max(1, Math.floor((x1 - x0) / 16));
+      let sum = 0;
+      let count = 0;
+      for (let y = y0; y < y1; y += stepY) {
+        for (let x = x0; x < x1; x += stepX) {
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          count++;
+        }
+      }
+      gray[row * cols + col] = sum / count;
+    }
+  }
+
+  let bits = "";
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      bits += gray[row * cols + col] > gray[row * cols + col + 1] ? "1" : "0";
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+}
+
+// as a worker: hash the image buffer passed in workerData and post the hash back
+if (!isMainThread) {
+  parentPort.postMessage(computePerceptualHash(Buffer.from(workerData)));
+}
+
+module.exports = { computePerceptualHash };
@@ -0,0 +1,77 @@
+const Event = require("../models/event");
+
+// tiers open to a participant right now: date window, eligibility and quota
+function getOpenTiers(event, user, now = new Date()) {
+  return (event.priceTiers || []).filter((tier) => {
+    if (tier.startsAt && now < tier.startsAt) return false;
+    if (tier.endsAt && now > tier.endsAt) return false;
+    if (tier.eligibility === "iiitans" && !user.isIIITian) return false;
+    if (tier.eligibility === "external" && user.isIIITian) return false;
+    if (tier.quota && tier.soldCount >= tier.quota) return false;
+    return true;
+  });
+}
+
+// price a participant would pay right now, without taking a tier slot
+function previewPrice(event, user) {
+  const [tier] = getOpenTiers(event, user).sort((a, b) => a.price - b.price);
+  if (tier) return { tier, price: tier.price };
+  return { tier: null, price: event.registrationFee || 0 };
+}
+
+// takes one slot of a tier, only while its quota has room
+async function claimTierSlot(eventId, tier) {
+  const match = { _id: tier._id };
+  if (tier.quota) match.soldCount = { $lt: tier.quota };
+  const result = await Event.updateOne(
+    { _id: eventId, priceTiers: { $elemMatch: match } },
+    { $inc: { "priceTiers.$.soldCount": 1 } },
+  );
+  return result.modifiedCount === 1;
+}
+
+// resolves and claims the cheapest open tier, falling back to the next one
+// if a quota fills up meanwhile, returns { tier, price }
+async function claimPrice(event, user) {
+  const candidates = getOpenTiers(event, user).sort(
+    (a, b) => a.price - b.price,
+  );
+  for (const tier of candidates) {
+    if (await claimTierSlot(event._id, tier)) {
+      return { tier, price: tier.price };
+    }
+  }
+  return { tier: null, price: event.registrationFee || 0 };
+}
+
+// sets the resolved price on a registration (caller saves it)
+async function assignPrice(event, registration, user) {
+  const { tier, price } = await claimPrice(event, user);
+  registration.amountDue = price;
+  registration.priceTierId = tier ? tier._id : undefined;
+  registration.priceTierName = tier ? tier.name : undefined;
+  return price;
+}
+
+// gives a registration's tier slot back so the next participant can have it (caller saves)
+async function releaseTierSlot(registration) {
+  if (!registration.priceTierId) return;
+  await Event.updateOne(
+    {
+      _id: registration.eventId,
+      priceTiers: {
+        $elemMatch: { _id: registration.priceTierId, soldCount: { $gt: 0 } },
+      },
+    },
+    { $inc: { "priceTiers.$.soldCount": -1 } },
+  );
+  registration.priceTierId = undefined;
+}
+
+module.exports = {
+  getOpenTiers,
+  previewPrice,
+  claimPrice,
+  assignPrice,
+  releaseTierSlot,
+};
@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const { computePerceptualHash } = require("./perceptualHash");
+
+// two perceptual hashes this close (out of 64 bits) are treated as the same picture
+const SIMILARITY_THRESHOLD = 6;
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// splits a perceptual hash into 8 one-byte bands tagged with their position
+// hashes within SIMILARITY_THRESHOLD bits differ in at most 6 bands, so near
+// matches always share a band and can be found through the index
+function getHashBands(perceptualHash) {
+  if (!perceptualHash) return [];
+  const bands = [];
+  for (let i = 0; i < 8; i++) {
+    bands.push(`${i}:${perceptualHash.slice(i * 2, i * 2 + 2)}`);
+  }
+  return bands;
+}
+
+// decodes and hashes an image in a worker thread
+function hashInWorker(buffer) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, "perceptualHash.js"), {
+      workerData: buffer,
+    });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`Hash worker exited with code ${code}`));
+    });
+  });
+}
+
+// fingerprints an uploaded proof file, the perceptual hash is null if the image can't be decoded
+async function fingerprintProof(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+  let perceptualHash = null;
+  try {
+    perceptualHash = await hashInWorker(buffer);
+  } catch (error) {
+    console.error("Failed to compute perceptual hash:", error.message);
+  }
+  return {
+    contentHash,
+    perceptualHash,
+    hashBands: getHashBands(perceptualHash),
+  };
+}
+
+function summarize(registration) {
+  return {
+    registrationId: registration._id,
+    event: registration.eventId,
+    user: registration.userId,
+    paymentApprovalStatus: registration.paymentApprovalStatus,
+  };
+}
+
+// flags for each registration: the same image, a near-identical image, or the same
+// transaction reference used by another registration
+// matches in the club's own events are listed, matches in other clubs' events are
+// only counted so no other club's participants are exposed
+// returns a map of registration id -> { sameImage, similarImage, sameReference, otherClubs }
+async function findDuplicateProofs(registrations, clubId) {
+  const contentHashes = registrations
+    .map((r) => r.proofContentHash)
+    .filter(Boolean);
+  const references = registrations
+    .map((r) => r.transactionReference)
+    .filter(Boolean);
+  const bands = registrations.flatMap((r) =>
+    getHashBands(r.proofPerceptualHash),
+  );
+
+  const [ownEventIds, sameContent, sameReference, candidates] =
+    await Promise.all([
+      Event.find({ organizerId: clubId }).distinct("_id"),
+      Registration.find({
+        proofContentHash: { $in: contentHashes },
+      }).select("eventId proofContentHash"),
+      Registration.find({
+        transactionReference: { $in: references },
+      }).select("eventId transactionReference"),
+      Registration.find({
+        proofHashBands: { $in: bands },
+      }).select("eventId proofPerceptualHash proofContentHash"),
+    ]);
+  const ownEvents = new Set(ownEventIds.map((id) => id.toString()));
+  const isOwn = (other) => ownEvents.has(other.eventId.toString());
+
+  const matches = new Map();
+  for (const registration of registrations) {
+    const others = (list, matchesOther) =>
+      list.filter(
+        (other) => !other._id.equals(registration._id) && matchesOther(other),
+      );
+    matches.set(registration._id.toString(), {
+      sameImage: others(
+        sameContent,
+        (other) =>
+          registration.proofContentHash &&
+          other.proofContentHash === registration.proofContentHash,
+      ),
+      // near matches among the candidates that share a hash band
+      similarImage: others(
+        candidates,
+        (other) =>
+          registration.proofPerceptualHash &&
+          other.proofContentHash !== registration.proofContentHash &&
+          hammingDistance(
+            other.proofPerceptualHash,
+            registration.proofPerceptualHash,
+          ) <= SIMILARITY_THRESHOLD,
+      ),
+      sameReference: others(
+        sameReference,
+        (other) =>
+          registration.transactionReference &&
+          other.transactionReference === registration.transactionReference,
+      ),
+    });
+  }
+
+  // Only the club's own matches are loaded with event and participant details
+  const ownIds = [...matches.values()].flatMap((m) =>
+    [...m.sameImage, ...m.similarImage, ...m.sameReference]
+      .filter(isOwn)
+      .map((other) => other._id),
+  );
+  const ownDocs = await Registration.find({ _id: { $in: ownIds } })
+    .select("eventId userId paymentApprovalStatus")
+    .populate("eventId", "name")
+    .populate("userId", "firstName lastName email");
+  const details = (list) =>
+    list
+      .filter(isOwn)
+      .map((other) => ownDocs.find((d) => d._id.equals(other._id)))
+      .filter(Boolean)
+      .map(summarize);
+
+  const report = {};
+  for (const [id, { sameImage, similarImage, sameReference }] of matches) {
+    report[id] = {
+      sameImage: details(sameImage),
+      similarImage: details(similarImage),
+      sameReference: details(sameReference),
+      otherClubs: {
+        sameImage: sameImage.filter((other) => !isOwn(other)).length,
+        similarImage: similarImage.filter((other) => !isOwn(other)).length,
+        sameReference: sameReference.filter((other) => !isOwn(other)).length,
+      },
+    };
+  }
+  return report;
+}
+
+module.exports = {
+  computePerceptualHash,
+  hammingDistance,
+  getHashBands,
+  fingerprintProof,
+  findDuplicateProofs,
+};
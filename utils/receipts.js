@@ -0,0 +1,224 @@
+const PDFDocument = require("pdfkit");
+const Club = require("../models/club");
+const User = require("../models/user");
+const { getOrderItems } = require("./merchOrders");
+
+// short prefix from the club name, e.g. "Music Club" -> "MC"
+function getClubCode(club) {
+  const initials = club.name
+    .split(/\s+/)
+    .map((word) => word.replace(/[^A-Za-z0-9]/g, "").charAt(0))
+    .join("")
+    .toUpperCase()
+    .slice(0, 4);
+  // club id suffix keeps two clubs with the same initials apart
+  return `${initials || "CLUB"}-${club._id.toString().slice(-4).toUpperCase()}`;
+}
+
+// gives a registration the club's next receipt number (caller saves the registration)
+async function assignReceiptNumber(event, registration) {
+  if (registration.receiptNumber) return registration.receiptNumber;
+  const club = await Club.findByIdAndUpdate(
+    event.organizerId,
+    { $inc: { receiptSequence: 1 } },
+    { new: true },
+  );
+  registration.receiptNumber = `${getClubCode(club)}-${String(
+    club.receiptSequence,
+  ).padStart(5, "0")}`;
+  registration.receiptIssuedAt = new Date();
+  return registration.receiptNumber;
+}
+
+// receipt rows: one per merchandise line item, or the registration fee
+function getReceiptLines(event, registration) {
+  if (event.eventType === "merchandise") {
+    return getOrderItems(registration).map((item) => {
+      const variant = event.merchandiseDetails?.variants?.find(
+        (v) => v.variantId === item.variantId,
+      );
+      const size = item.size ?? variant?.size;
+      const color = item.color ?? variant?.color;
+      const unitPrice = item.unitPrice ?? variant?.price ?? 0;
+      return {
+        description: [event.name, [size, color].filter(Boolean).join(" / ")]
+          .filter(Boolean)
+          .join(" - "),
+        quantity: item.quantity,
+        unitPrice,
+        amount: item.lineTotal ?? unitPrice * item.quantity,
+      };
+    });
+  }
+
+  const paid =
+    registration.amountPaid ??
+    registration.amountDue ??
+    event.registrationFee ??
+    0;
+  const base = paid + (registration.discountAmount || 0);
+  return [
+    {
+      description: `Registration - ${event.name}${
+        registration.priceTierName ? ` (${registration.priceTierName})` : ""
+      }`,
+      quantity: 1,
+      unitPrice: base,
+      amount: base,
+    },
+  ];
+}
+
+// the default pdf fonts have no rupee glyph
+function formatAmount(amount) {
+  return `Rs. ${Number(amount || 0).toFixed(2)}`;
+}
+
+// renders a receipt pdf into a buffer
+function generateReceiptPdf({ registration, event, club, user }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Club header
+    doc.fontSize(20).text(club.name, { align: "left" });
+    doc.fontSize(10).fillColor("#555555");
+    if (club.contactEmail || club.email) {
+      doc.text(club.contactEmail || club.email);
+    }
+    if (club.phoneNumber) doc.text(club.phoneNumber);
+    if (club.website) doc.text(club.website);
+    doc.fillColor("#000000").moveDown(1.5);
+
+    doc.fontSize(16).text("PAYMENT RECEIPT", { align: "center" });
+    doc.moveDown();
+
+    // Receipt details
+    const issuedAt = registration.receiptIssuedAt || new Date();
+    const details = [
+      ["Receipt No.", registration.receiptNumber],
+      ["Date", issuedAt.toLocaleDateString("en-IN", { dateStyle: "medium" })],
+      [
+        "Billed To",
+        user
+          ? `${user.firstName} ${user.lastName || ""}`.trim()
+          : "Deleted account",
+      ],
+      ["Email", user ? user.email : "-"],
+      ["Event", event.name],
+      [
+        "Event Date",
+        new Date(event.eventStartDate).toLocaleString("en-IN", {
+          dateStyle: "medium",
+          timeStyle: "short",
+        }),
+      ],
+      ["Ticket ID", registration.ticketId],
+      [
+        "Payment Method",
+        registration.paymentMethod === "online"
+          ? "Online payment"
+          : "Bank transfer / UPI",
+      ],
+      ["Transaction Ref.", registration.transactionReference],
+    ];
+    doc.fontSize(10);
+    for (const [label, value] of details) {
+      if (!value) continue;
+      doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(String(value));
+    }
+    doc.moveDown(1.5);
+
+    // Line items table
+    const left = 50;
+    const columns = {
+      description: left,
+      quantity: 330,
+      unit: 390,
+      amount: 470,
+    };
+    const drawRow = (cells, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      doc.text(cells[0], columns.description, y, { width: 270 });
+      const rowBottom = doc.y;
+      doc.text(cells[1], columns.quantity, y, { width: 50, align: "right" });
+      doc.text(cells[2], columns.unit, y, { width: 70, align: "right" });
+      doc.text(cells[3], columns.amount, y, { width: 75, align: "right" });
+      doc.y = Math.max(rowBottom, doc.y) + 4;
+    };
+    const rule = () => {
+      doc
+        .moveTo(left, doc.y)
+        .lineTo(545, doc.y)
+        .strokeColor("#cccccc")
+        .stroke();
+      doc.y += 6;
+    };
+
+    drawRow(["Description", "Qty", "Unit Price", "Amount"], true);
+    rule();
+    const lines = getReceiptLines(event, registration);
+    for (const line of lines) {
+      drawRow([
+        line.description,
+        String(line.quantity),
+        formatAmount(line.unitPrice),
+        formatAmount(line.amount),
+      ]);
+    }
+    rule();
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const discount = registration.discountAmount || 0;
+    const total = registration.amountPaid ?? subtotal - discount;
+    drawRow(["Subtotal", "", "", formatAmount(subtotal)]);
+    if (discount > 0) {
+      drawRow([
+        `Discount${registration.couponCode ? ` (${registration.couponCode})` : ""}`,
+        "",
+        "",
+        `- ${formatAmount(discount)}`,
+      ]);
+    }
+    drawRow(["Total Paid", "", "", formatAmount(total)], true);
+
+    doc.moveDown(3);
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#777777")
+      .text(
+        "This is a computer-generated receipt issued by Felicity Event Management and does not require a signature.",
+        left,
+        doc.y,
+        { align: "center", width: 495 },
+      );
+
+    doc.end();
+  });
+}
+
+// loads the club and participant and renders the registration's receipt
+// the participant is null if their account was deleted
+async function renderReceipt(event, registration) {
+  const club = await Club.findById(event.organizerId);
+  const user =
+    registration.userId && registration.userId.email
+      ? registration.userId
+      : await User.findById(registration.userId).select(
+          "firstName lastName email",
+        );
+  return generateReceiptPdf({ registration, event, club, user });
+}
+
+module.exports = {
+  assignReceiptNumber,
+  getReceiptLines,
+  generateReceiptPdf,
+  renderReceipt,
+};
@@ -0,0 +1,150 @@
+const Refund = require("../models/refund");
+const Event = require("../models/event");
+const User = require("../models/user");
+const { sendRefundEmail } = require("./emailService");
+const { getRegistrationAmount } = require("./paymentApproval");
+
+// what the participant paid, minus every refund that has not been rejected
+async function getRefundableAmount(event, registration) {
+  if (registration.paymentApprovalStatus !== "approved") return 0;
+  const paid =
+    registration.amountPaid ?? getRegistrationAmount(event, registration);
+  const refunds = await Refund.find({
+    registrationId: registration._id,
+    status: { $ne: "rejected" },
+    source: { $ne: "unapplied_payment" },
+  });
+  const refunded = refunds.reduce((sum, r) => sum + r.amount, 0);
+  return Math.max(0, paid - refunded);
+}
+
+// emails the participant about the refund's current step (never throws)
+async function sendRefundUpdate(refund, event) {
+  try {
+    const user = await User.findById(refund.userId).select(
+      "firstName lastName email",
+    );
+    if (!user) return;
+    await sendRefundEmail({
+      to: user.email,
+      userName: `${user.firstName} ${user.lastName}`,
+      eventName: event.name,
+      amount: refund.amount,
+      status: refund.status,
+      reason:
+        refund.status === "rejected" ? refund.rejectionReason : refund.reason,
+      transactionReference: refund.transactionReference,
+    });
+  } catch (emailError) {
+    console.error("Failed to send refund email:", emailError);
+  }
+}
+
+// opens a refund on a paid registration, returns { refund } or { error }
+// organizer-started refunds pass approvedBy and skip the review step
+async function requestRefund(
+  event,
+  registration,
+  { amount, reason, source, approvedBy } = {},
+) {
+  const refundable = await getRefundableAmount(event, registration);
+  if (refundable <= 0) {
+    return { error: "Nothing left to refund on this registration" };
+  }
+  const refundAmount = amount === undefined ? refundable : Number(amount);
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    return { error: `Refund amount must be between 0 and ${refundable}` };
+  }
+
+  const refund = await Refund.create({
+    registrationId: registration._id,
+    eventId: event._id,
+    userId: registration.userId._id || registration.userId,
+    amount: refundAmount,
+    reason,
+    source,
+    status: approvedBy ? "approved" : "requested",
+    approvedBy,
+    approvedAt: approvedBy ? new Date() : undefined,
+  });
+
+  await sendRefundUpdate(refund, event);
+  return { refund };
+}
+
+// returns money the gateway captured that never paid for the registration
+// (underpaid order, or the registration was no longer awaiting payment)
+// safe to call again for a retried webhook, returns the existing refund
+async function refundUnappliedPayment(event, payment, { amount, reason }) {
+  const existing = await Refund.findOne({ paymentId: payment._id });
+  if (existing) return { refund: existing };
+
+  const refund = await Refund.create({
+    registrationId: payment.registrationId,
+    eventId: payment.eventId,
+    userId: payment.userId,
+    paymentId: payment._id,
+    amount,
+    reason,
+    source: "unapplied_payment",
+  });
+
+  await sendRefundUpdate(refund, event);
+  return { refund };
+}
+
+// confirms the money went out and takes it off the event's revenue
+// returns null if the refund was not in the approved state
+async function markRefundProcessed(
+  refund,
+  { processedBy, transactionReference },
+) {
+  const processed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: "approved" },
+    {
+      status: "processed",
+      processedBy,
+      processedAt: new Date(),
+      transactionReference,
+    },
+    { new: true },
+  );
+  if (!processed) return null;
+
+  // unapplied payments were never counted as revenue
+  if (processed.source !== "unapplied_payment") {
+    await Event.updateOne(
+      { _id: processed.eventId },
+      { $inc: { totalRevenue: -processed.amount } },
+    );
+  }
+  return processed;
+}
+
+// processed refund totals keyed by event id
+async function getRefundedTotals(eventIds) {
+  const rows = await Refund.aggregate([
+    {
+      $match: {
+        eventId: { $in: eventIds },
+        status: "processed",
+        source: { $ne: "unapplied_payment" },
+      },
+    },
+    { $group: { _id: "$eventId", total: { $sum: "$amount" } } },
+  ]);
+  const totals = {};
+  for (const row of rows) {
+    totals[row._id.toString()] = row.total;
+  }
+  return totals;
+}
+
+module.exports = {
+  getRefundableAmount,
+  sendRefundUpdate,
+  requestRefund,
+  refundUnappliedPayment,
+  markRefundProcessed,
+  getRefundedTotals,
+};
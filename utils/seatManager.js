@@ -0,0 +1,427 @@
+const { v4: uuidv4 } = require("uuid");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const {
+  generateEncryptedQRCode,
+  sendWaitlistPromotionEmail,
+  sendCancellationEmail,
+} = require("./emailService");
+const { releaseOrderStock } = require("./inventory");
+const { assignPrice, releaseTierSlot } = require("./pricing");
+const { releaseRegistrationCoupon } = require("./coupons");
+
+// registrations in these statuses can no longer be paid for or approved
+const CLOSED_STATUSES = ["cancelled", "rejected"];
+
+const SEAT_HOLD_EXPIRED =
+  "Payment or approval not received within the seat hold window";
+
+// Seats move like merchandise stock: confirmed seats are counted in
+// totalRegistrations, seats held for pending payment/approval in reservedSeats.
+// Every claim is a conditional $inc so parallel registrations never overfill an event.
+
+// takes seats into one bucket only while confirmed + reserved stays within the limit
+// events without a registrationLimit (some merchandise) never fill up
+async function takeSeats(eventId, count, bucket) {
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      $or: [
+        { registrationLimit: null },
+        {
+          $expr: {
+            $lte: [
+              {
+                $add: [
+                  { $ifNull: ["$totalRegistrations", 0] },
+                  { $ifNull: ["$reservedSeats", 0] },
+                  count,
+                ],
+              },
+              "$registrationLimit",
+            ],
+          },
+        },
+      ],
+    },
+    { $inc: { [bucket]: count } },
+  );
+  return result.modifiedCount === 1;
+}
+
+// moves seats out of a bucket (into `to`, or back to free when `to` is null)
+async function moveSeats(eventId, count, from, to) {
+  const inc = { [from]: -count };
+  if (to) inc[to] = count;
+  const result = await Event.updateOne(
+    { _id: eventId, [from]: { $gte: count } },
+    { $inc: inc },
+  );
+  return result.modifiedCount === 1;
+}
+
+// seats confirmed or held, for quick checks before the atomic claim
+function getSeatsTaken(event) {
+  return (event.totalRegistrations || 0) + (event.reservedSeats || 0);
+}
+
+// when a seat reserved now stops being held, never later than the event start
+function getSeatHoldDeadline(event) {
+  const holdHours = event.seatHoldHours || 48;
+  return new Date(
+    Math.min(
+      Date.now() + holdHours * 60 * 60 * 1000,
+      new Date(event.eventStartDate).getTime(),
+    ),
+  );
+}
+
+// holds seats for registrations awaiting payment/approval (a whole team at once),
+// returns false if they don't all fit
+// merchandise orders expire with their stock reservation instead
+async function reserveSeats(event, registrations) {
+  const count = registrations.length;
+  if (!(await takeSeats(event._id, count, "reservedSeats"))) return false;
+  const holdExpiresAt =
+    event.eventType === "normal" ? getSeatHoldDeadline(event) : undefined;
+  for (const registration of registrations) {
+    registration.seatStatus = "reserved";
+    registration.seatHoldExpiresAt = holdExpiresAt;
+  }
+  return true;
+}
+
+// holds a seat while payment/approval is pending, returns false if the event is full
+function reserveSeat(event, registration) {
+  return reserveSeats(event, [registration]);
+}
+
+// takes a seat for a registration confirmed on the spot, returns false if the event is full
+async function claimSeat(event, registration) {
+  if (!(await takeSeats(event._id, 1, "totalRegistrations"))) return false;
+  registration.seatStatus = "confirmed";
+  return true;
+}
+
+// turns a reserved seat into a confirmed one (caller saves the registration)
+// registrations from before seats were reserved are counted unconditionally
+async function confirmSeat(event, registration) {
+  if (
+    registration.seatStatus === "confirmed" ||
+    registration.seatStatus === "released"
+  ) {
+    return;
+  }
+  const moved =
+    registration.seatStatus === "reserved" &&
+    (await moveSeats(event._id, 1, "reservedSeats", "totalRegistrations"));
+  if (!moved) {
+    await Event.updateOne(
+      { _id: event._id },
+      { $inc: { totalRegistrations: 1 } },
+    );
+  }
+  registration.seatStatus = "confirmed";
+  registration.seatHoldExpiresAt = undefined;
+}
+
+// checks if a registration from before seat tracking is counted in totalRegistrations (and stock)
+// such seats were taken on free registration or once payment/approval went through
+function holdsSeat(registration) {
+  if (registration.seatStatus) {
+    return registration.seatStatus === "confirmed";
+  }
+  if (
+    registration.status === "waitlisted" ||
+    registration.status === "team_pending"
+  ) {
+    return false;
+  }
+  if (registration.paymentApprovalStatus === "approved") return true;
+  return (
+    registration.paymentApprovalStatus === "not_required" &&
+    registration.registrationApprovalStatus !== "pending" &&
+    registration.registrationApprovalStatus !== "rejected"
+  );
+}
+
+// gives back the seat (reserved or confirmed) and merchandise stock held by a registration
+// (caller saves the registration); hadSeat is only consulted for registrations
+// from before seat tracking and should be taken before their status changes
+async function releaseSeat(
+  event,
+  registration,
+  hadSeat = holdsSeat(registration),
+) {
+  const { seatStatus } = registration;
+  if (seatStatus === "reserved") {
+    await moveSeats(event._id, 1, "reservedSeats", null);
+  } else if (seatStatus === "confirmed" || (!seatStatus && hadSeat)) {
+    await moveSeats(event._id, 1, "totalRegistrations", null);
+  }
+  if (seatStatus !== "released") {
+    registration.seatStatus = "released";
+  }
+  registration.seatHoldExpiresAt = undefined;
+  await releaseOrderStock(event, registration, hadSeat);
+}
+
+// closes approvals still under review when a registration is cancelled, so a late
+// payment or organizer approval can't bring it back (caller saves the registration)
+function rejectPendingApprovals(registration, reason) {
+  if (registration.paymentApprovalStatus === "pending") {
+    registration.paymentApprovalStatus = "rejected";
+    registration.paymentRejectionReason = reason;
+  }
+  if (registration.registrationApprovalStatus === "pending") {
+    registration.registrationApprovalStatus = "rejected";
+    registration.registrationRejectionReason = reason;
+  }
+}
+
+// assigns a ticket id and encrypted QR to a registration, returns the QR image buffer
+// registration.userId must be populated with firstName and lastName
+async function issueTicket(event, registration) {
+  if (!registration.ticketId) {
+    registration.ticketId = uuidv4();
+  }
+  const { qrCodeBuffer, encryptedData, iv } = await generateEncryptedQRCode({
+    ticketId: registration.ticketId,
+    userId: registration.userId._id.toString(),
+    eventId: event._id.toString(),
+    eventName: event.name,
+    userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+    registrationDate: registration.registrationDate,
+  });
+  registration.qrCodeEncrypted = encryptedData;
+  registration.qrCodeIV = iv;
+  await registration.save();
+  return qrCodeBuffer;
+}
+
+// 1-based position of a waitlisted registration in its event's queue
+async function getWaitlistPosition(registration) {
+  const ahead = await Registration.countDocuments({
+    eventId: registration.eventId,
+    status: "waitlisted",
+    waitlistedAt: { $lt: registration.waitlistedAt },
+  });
+  return ahead + 1;
+}
+
+// moves one waitlisted registration into a seat, issuing the ticket for free events
+// or putting it into the usual payment/approval flow otherwise
+async function promoteRegistration(event, registration) {
+  const now = new Date();
+  const claimHours = event.waitlistClaimHours || 24;
+  const claimDeadline = new Date(
+    Math.min(
+      now.getTime() + claimHours * 60 * 60 * 1000,
+      new Date(event.eventStartDate).getTime(),
+    ),
+  );
+
+  registration.promotedAt = now;
+  registration.claimDeadline = claimDeadline;
+  registration.registrationDate = now;
+
+  // Price is resolved when the seat is offered
+  await registration.populate("userId", "firstName lastName email isIIITian");
+  const isPaidEvent =
+    (await assignPrice(event, registration, registration.userId)) > 0;
+
+  if (isPaidEvent) {
+    registration.paymentStatus = "pending";
+    registration.paymentApprovalStatus = "pending";
+  }
+  if (event.requiresApproval) {
+    registration.registrationApprovalStatus = "pending";
+  }
+
+  const userName = `${registration.userId.firstName} ${registration.userId.lastName}`;
+
+  let qrCodeBuffer = null;
+  if (!isPaidEvent && !event.requiresApproval) {
+    registration.status = "registered";
+    await confirmSeat(event, registration);
+    qrCodeBuffer = await issueTicket(event, registration);
+  } else {
+    registration.status = "pending_approval";
+    await registration.save();
+  }
+
+  try {
+    await sendWaitlistPromotionEmail({
+      to: registration.userId.email,
+      userName,
+      eventName: event.name,
+      eventDate: event.eventStartDate,
+      ticketId: registration.ticketId,
+      qrCodeBuffer,
+      claimDeadline,
+      requiresPaymentProof: isPaidEvent,
+    });
+  } catch (emailError) {
+    console.error("Failed to send waitlist promotion email:", emailError);
+  }
+}
+
+// fills every free seat of an event from the front of its waitlist
+async function promoteFromWaitlist(eventId) {
+  const event = await Event.findById(eventId);
+  if (!event || event.eventType !== "normal" || !event.registrationLimit) {
+    return [];
+  }
+  if (event.status !== "published" && event.status !== "ongoing") return [];
+  if (new Date() >= new Date(event.eventStartDate)) return [];
+
+  // Reserve the seat first, then hand it to the head of the queue, so
+  // concurrent calls can never promote past the limit
+  const promoted = [];
+  while (await takeSeats(event._id, 1, "reservedSeats")) {
+    const next = await Registration.findOneAndUpdate(
+      { eventId: event._id, status: "waitlisted" },
+      { $set: { status: "pending_approval", seatStatus: "reserved" } },
+      { sort: { waitlistedAt: 1 }, new: true },
+    );
+    if (!next) {
+      await moveSeats(event._id, 1, "reservedSeats", null);
+      break;
+    }
+    await promoteRegistration(event, next);
+    promoted.push(next);
+  }
+
+  return promoted;
+}
+
+// cancels promotions whose claim window passed and hands the seat to the next person
+async function expireUnclaimedPromotions() {
+  const expired = await Registration.find({
+    promotedAt: { $ne: null },
+    claimedAt: null,
+    claimDeadline: { $lt: new Date() },
+    status: { $in: ["registered", "pending_approval"] },
+  });
+
+  const affectedEvents = new Set();
+  for (const registration of expired) {
+    const hadSeat = holdsSeat(registration);
+
+    registration.status = "cancelled";
+    registration.cancelledAt = new Date();
+    registration.cancellationReason = "Waitlist claim window expired";
+    registration.qrCodeEncrypted = undefined;
+    registration.qrCodeIV = undefined;
+    registration.scanHistory.push({
+      timestamp: new Date(),
+      action: "cancelled",
+      notes: registration.cancellationReason,
+    });
+    rejectPendingApprovals(registration, registration.cancellationReason);
+    await releaseTierSlot(registration);
+    await releaseRegistrationCoupon(registration);
+
+    const event = await Event.findById(registration.eventId);
+    if (event) {
+      await releaseSeat(event, registration, hadSeat);
+    }
+    await registration.save();
+    affectedEvents.add(registration.eventId.toString());
+  }
+
+  for (const eventId of affectedEvents) {
+    await promoteFromWaitlist(eventId);
+  }
+  return expired.length;
+}
+
+// cancels paid or approval-gated registrations whose seat hold ran out with no
+// payment proof, so abandoned registrations don't keep the event full
+async function expireSeatHolds() {
+  const expired = await Registration.find({
+    seatStatus: "reserved",
+    seatHoldExpiresAt: { $lt: new Date() },
+    status: "pending_approval",
+    paymentProofImage: null,
+  });
+
+  let count = 0;
+  const affectedEvents = new Set();
+  for (const candidate of expired) {
+    // Claim the expiry atomically so a proof uploaded or an approval given just now wins
+    const registration = await Registration.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        seatStatus: "reserved",
+        status: "pending_approval",
+        paymentProofImage: null,
+      },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancellationReason: SEAT_HOLD_EXPIRED,
+        },
+        $push: {
+          scanHistory: {
+            timestamp: new Date(),
+            action: "cancelled",
+            notes: SEAT_HOLD_EXPIRED,
+          },
+        },
+      },
+      { new: true },
+    ).populate("userId", "firstName lastName email");
+    if (!registration) continue;
+
+    // A late gateway capture or approval must not revive the cancelled registration
+    rejectPendingApprovals(registration, SEAT_HOLD_EXPIRED);
+    await releaseTierSlot(registration);
+    await releaseRegistrationCoupon(registration);
+
+    const event = await Event.findById(registration.eventId);
+    if (event) {
+      await releaseSeat(event, registration);
+    }
+    await registration.save();
+    affectedEvents.add(registration.eventId.toString());
+    count += 1;
+
+    if (!event) continue;
+    try {
+      await sendCancellationEmail({
+        to: registration.userId.email,
+        userName: `${registration.userId.firstName} ${registration.userId.lastName}`,
+        eventName: event.name,
+        eventDate: event.eventStartDate,
+        ticketId: registration.ticketId,
+        reason: SEAT_HOLD_EXPIRED,
+      });
+    } catch (emailError) {
+      console.error("Failed to send seat hold expiry email:", emailError);
+    }
+  }
+
+  for (const eventId of affectedEvents) {
+    await promoteFromWaitlist(eventId);
+  }
+  return count;
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  holdsSeat,
+  getSeatsTaken,
+  reserveSeats,
+  reserveSeat,
+  claimSeat,
+  confirmSeat,
+  releaseSeat,
+  rejectPendingApprovals,
+  issueTicket,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+  expireUnclaimedPromotions,
+  expireSeatHolds,
+};
@@ -0,0 +1,117 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const Session = require("../models/session");
+const { disconnectSession, disconnectAccount } = require("./socket");
+
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// short-lived access token tied to a session so it can be revoked
+function signAccessToken(accountId, type, sessionId) {
+  return jwt.sign(
+    { id: accountId, type, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// starts a new device session on login/register, returns both tokens
+async function createSession(accountId, type, req) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const session = await Session.create({
+    accountId,
+    accountType: type,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"],
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  return {
+    accessToken: signAccessToken(accountId, type, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+}
+
+// swaps a refresh token for a new pair, returns tokens or { status, error }
+async function rotateRefreshToken(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = crypto.randomBytes(48).toString("hex");
+
+  // atomic swap so the same refresh token can't be used twice concurrently
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    // an already-rotated token means it leaked, kill that session
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: new Date() },
+    );
+    if (reused) {
+      disconnectSession(reused._id);
+      return { status: 401, error: "Refresh token reuse detected" };
+    }
+    return { status: 401, error: "Refresh token invalid or expired" };
+  }
+
+  return {
+    accessToken: signAccessToken(
+      session.accountId,
+      session.accountType,
+      session._id,
+    ),
+    refreshToken: newRefreshToken,
+    session,
+  };
+}
+
+// revokes one session of an account and drops its live sockets,
+// returns false if it wasn't found
+async function revokeSession(sessionId, accountId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, accountId, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+  if (result.modifiedCount === 0) return false;
+  disconnectSession(sessionId);
+  return true;
+}
+
+// revokes every session of an account and drops its live sockets, optionally keeping the current one
+async function revokeAllSessions(accountId, exceptSessionId = null) {
+  const query = { accountId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(query, { revokedAt: new Date() });
+  disconnectAccount(accountId, exceptSessionId);
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,210 @@
+const { Server } = require("socket.io");
+const Event = require("../models/event");
+const Registration = require("../models/registration");
+const { resolveToken } = require("../middleware/authMiddleware");
+
+let io = null;
+
+// room name for an event's discussion forum
+function forumRoom(eventId) {
+  return `forum:${eventId}`;
+}
+
+// room name for an event's live attendance dashboard
+function attendanceRoom(eventId) {
+  return `attendance:${eventId}`;
+}
+
+// rooms every socket joins on connect so revoked sessions can be dropped
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function accountRoom(accountId) {
+  return `account:${accountId}`;
+}
+
+// same rules as the discussion routes: organizer club or a user whose
+// registration wasn't cancelled or rejected
+async function canJoinForum(user, eventId) {
+  const event = await Event.findById(eventId);
+  if (!event) return false;
+  if (user.type === "club") {
+    return event.organizerId.toString() === user._id.toString();
+  }
+  if (user.type === "user") {
+    const registration = await Registration.findOne({
+      userId: user._id,
+      eventId: eventId,
+      status: { $nin: ["cancelled", "rejected"] },
+    });
+    return !!registration;
+  }
+  return false;
+}
+
+// counts distinct accounts currently viewing a forum
+async function broadcastPresence(eventId) {
+  const sockets = await io.in(forumRoom(eventId)).fetchSockets();
+  const viewers = new Set(sockets.map((s) => s.data.user._id.toString()));
+  io.to(forumRoom(eventId)).emit("forum:presence", {
+    eventId,
+    count: viewers.size,
+  });
+}
+
+// attaches socket.io to the http server with jwt auth on the handshake
+function initSocket(server) {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || true,
+      credentials: true,
+    },
+  });
+
+  // token comes from handshake auth or an Authorization header
+  io.use(async (socket, next) => {
+    try {
+      const header = socket.handshake.headers.authorization;
+      const token =
+        socket.handshake.auth?.token ||
+        (header && header.startsWith("Bearer") ? header.split(" ")[1] : null);
+      if (!token) return next(new Error("No token provided"));
+
+      const { user, type, sessionId, error } = await resolveToken(token);
+      if (error) return next(new Error(error));
+      socket.data.user = { ...user.toObject(), type };
+      socket.data.sessionId = sessionId.toString();
+      next();
+    } catch (err) {
+      next(new Error("Token invalid or expired"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    const user = socket.data.user;
+    socket.join(sessionRoom(socket.data.sessionId));
+    socket.join(accountRoom(user._id.toString()));
+
+    // join an event's forum room
+    socket.on("forum:join", async ({ eventId } = {}, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        if (!eventId) return reply({ error: "Event ID is required" });
+        const allowed = await canJoinForum(user, eventId);
+        if (!allowed) return reply({ error: "Unauthorized access" });
+        await socket.join(forumRoom(eventId));
+        reply({ success: true });
+        await broadcastPresence(eventId);
+      } catch (error) {
+        console.error("Forum join error:", error);
+        reply({ error: "Failed to join forum" });
+      }
+    });
+
+    // join an event's attendance dashboard (organizer only)
+    socket.on("attendance:join", async ({ eventId } = {}, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        if (!eventId) return reply({ error: "Event ID is required" });
+        const event = await Event.findById(eventId);
+        if (
+          !event ||
+          user.type !== "club" ||
+          event.organizerId.toString() !== user._id.toString()
+        ) {
+          return reply({ error: "Unauthorized access" });
+        }
+        await socket.join(attendanceRoom(eventId));
+        reply({ success: true });
+      } catch (error) {
+        console.error("Attendance join error:", error);
+        reply({ error: "Failed to join attendance dashboard" });
+      }
+    });
+
+    socket.on("attendance:leave", async ({ eventId } = {}) => {
+      if (!eventId) return;
+      await socket.leave(attendanceRoom(eventId));
+    });
+
+    // leave an event's forum room
+    socket.on("forum:leave", async ({ eventId } = {}) => {
+      if (!eventId) return;
+      await socket.leave(forumRoom(eventId));
+      await broadcastPresence(eventId);
+    });
+
+    // relay typing indicators to everyone else in the room
+    socket.on("forum:typing", ({ eventId, isTyping } = {}) => {
+      if (!eventId || !socket.rooms.has(forumRoom(eventId))) return;
+      socket.to(forumRoom(eventId)).emit("forum:typing", {
+        eventId,
+        userId: user._id,
+        name:
+          user.type === "club"
+            ? user.name
+            : `${user.firstName} ${user.lastName || ""}`.trim(),
+        isTyping: !!isTyping,
+      });
+    });
+
+    // update presence for every forum this socket was in
+    socket.on("disconnecting", () => {
+      const eventIds = [...socket.rooms]
+        .filter((room) => room.startsWith("forum:"))
+        .map((room) => room.slice("forum:".length));
+      // rooms are left after this handler, so recount on the next tick
+      setImmediate(() => {
+        for (const eventId of eventIds) {
+          broadcastPresence(eventId).catch((error) =>
+            console.error("Presence update error:", error),
+          );
+        }
+      });
+    });
+  });
+
+  return io;
+}
+
+// pushes a forum update to everyone viewing the event (no-op before init)
+function emitToForum(eventId, eventName, payload) {
+  if (!io) return;
+  io.to(forumRoom(eventId.toString())).emit(eventName, payload);
+}
+
+// pushes an attendance update to every dashboard of the event (no-op before init)
+function emitToAttendance(eventId, eventName, payload) {
+  if (!io) return;
+  io.to(attendanceRoom(eventId.toString())).emit(eventName, payload);
+}
+
+// drops the live sockets of a revoked session (no-op before init)
+function disconnectSession(sessionId) {
+  if (!io) return;
+  io.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+}
+
+// drops every live socket of an account, optionally keeping one session's (no-op before init)
+function disconnectAccount(accountId, exceptSessionId = null) {
+  if (!io) return;
+  let sockets = io.in(accountRoom(accountId.toString()));
+  if (exceptSessionId) {
+    sockets = sockets.except(sessionRoom(exceptSessionId.toString()));
+  }
+  sockets.disconnectSockets(true);
+}
+
+function getIO() {
+  return io;
+}
+
+module.exports = {
+  initSocket,
+  emitToForum,
+  emitToAttendance,
+  disconnectSession,
+  disconnectAccount,
+  getIO,
+};
@@ -0,0 +1,89 @@
+const Venue = require("../models/venue");
+const Event = require("../models/event");
+
+// events in these states hold their venue, drafts and postponed events
+// have no firm slot yet
+const BOOKED_STATUSES = ["published", "ongoing"];
+
+// the location text participants see for a venue
+function describeVenue(venue) {
+  return venue.address ? `${venue.name}, ${venue.address}` : venue.name;
+}
+
+// booked events overlapping [start, end) at a venue, from every club
+function findVenueConflicts(venueId, start, end, excludeEventId = null) {
+  const filter = {
+    venueId,
+    status: { $in: BOOKED_STATUSES },
+    eventStartDate: { $lt: new Date(end) },
+    eventEndDate: { $gt: new Date(start) },
+  };
+  if (excludeEventId) filter._id = { $ne: excludeEventId };
+  return Event.find(filter)
+    .select("name organizerId eventStartDate eventEndDate status")
+    .populate("organizerId", "name")
+    .sort({ eventStartDate: 1 });
+}
+
+// points an event at a venue or an online link (one replaces the other) and
+// refreshes its location text, returns { error } if the venue is unknown
+async function setEventLocation(event, { venueId, onlineLink }) {
+  if (venueId && onlineLink) {
+    return { error: "Choose either a venue or an online link" };
+  }
+  if (venueId) {
+    const venue = await Venue.findById(venueId);
+    if (!venue) return { error: "Venue not found" };
+    event.venueId = venue._id;
+    event.onlineLink = undefined;
+    event.location = describeVenue(venue);
+  } else {
+    event.venueId = null;
+    event.onlineLink = onlineLink || undefined;
+    event.location = onlineLink || undefined;
+  }
+  return {};
+}
+
+// checks the event's venue can take it: bookable, big enough for its
+// registrationLimit and (unless checkConflicts is off) free for its dates
+// returns null when it fits, otherwise { status, error, conflicts }
+async function checkVenueBooking(event, { checkConflicts = true } = {}) {
+  if (!event.venueId) return null;
+
+  const venue = await Venue.findById(event.venueId);
+  if (!venue || !venue.isActive) {
+    return { status: 400, error: "Venue is not available for booking" };
+  }
+  if (event.registrationLimit && event.registrationLimit > venue.capacity) {
+    return {
+      status: 400,
+      error: `Registration limit exceeds the venue capacity of ${venue.capacity}`,
+    };
+  }
+
+  if (checkConflicts) {
+    const conflicts = await findVenueConflicts(
+      venue._id,
+      event.eventStartDate,
+      event.eventEndDate,
+      event._id,
+    );
+    if (conflicts.length > 0) {
+      return {
+        status: 409,
+        error: `${venue.name} is already booked for part of this time`,
+        conflicts,
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  BOOKED_STATUSES,
+  describeVenue,
+  findVenueConflicts,
+  setEventLocation,
+  checkVenueBooking,
+};